@@ -1,11 +1,24 @@
 #!/usr/bin/env node
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const readline = require('readline');
-const { spawnSync } = require('child_process');
+const { spawn, spawnSync } = require('child_process');
 const { playAlertSound, generateBeepWav, generateG6ChordBeep } = require('./sound');
+const { NOTIFY_BACKENDS, formatNotification, sendNotification } = require('./notify');
+const { DEFAULT_HOOK_TIMEOUT_SECONDS, parseHookSpec, createHookRunner } = require('./hooks');
+const {
+  COLOR_THEMES,
+  DEFAULT_COLOR_THRESHOLDS,
+  ANSI_RESET,
+  parseColorMode,
+  parseThemeName,
+  parseColorStyle,
+  colorize,
+  shouldUseColor,
+} = require('./theme');
 
 function trimPath(p) {
   if (!p) return '';
@@ -19,6 +32,16 @@ function trimPath(p) {
   return result || '.';
 }
 
+// Leading directories give way first: a/b/c/d -> …/b/c/d -> …/c/d -> …/d.
+function elidePath(display, ascii = false) {
+  const parts = display.split(path.sep);
+  const candidates = [];
+  for (let keep = parts.length - 1; keep >= 1; keep -= 1) {
+    candidates.push([glyph('ellipsis', ascii), ...parts.slice(-keep)].join(path.sep));
+  }
+  return candidates;
+}
+
 function stripModelPrefix(model) {
   if (typeof model !== 'string') return model;
   return model.startsWith('gpt-') ? model.slice(4) : model;
@@ -26,6 +49,7 @@ function stripModelPrefix(model) {
 
 const MARK_REGEX = /\p{Mark}/u;
 const EXTENDED_PICTOGRAPHIC_REGEX = /\p{Extended_Pictographic}/u;
+const EMOJI_PRESENTATION_REGEX = /\p{Emoji_Presentation}/u;
 
 function isFullWidthCodePoint(codePoint) {
   return (
@@ -62,22 +86,59 @@ function codePointWidth(codePoint) {
   return 1;
 }
 
-function truncateToTerminal(text, columns) {
+// tmux sizes cells with wcwidth(), which only treats emoji that default to
+// emoji presentation as wide; text-presentation pictographs such as 🗓 take a
+// single cell there even though most terminal emulators draw them double.
+function tmuxCodePointWidth(codePoint) {
+  const char = String.fromCodePoint(codePoint);
+  if (EXTENDED_PICTOGRAPHIC_REGEX.test(char) && !EMOJI_PRESENTATION_REGEX.test(char)) return 1;
+  return codePointWidth(codePoint);
+}
+
+// Only SGR sequences are ever written, so those are all that need skipping.
+const ANSI_SGR_REGEX = /\x1b\[[0-9;]*m/g;
+
+function truncateToTerminal(text, columns, widthFn = codePointWidth) {
   if (!columns || columns <= 0) return text;
   let width = 0;
   let result = '';
+  const escape = new RegExp(ANSI_SGR_REGEX.source, 'y');
   for (let i = 0; i < text.length; i += 1) {
+    escape.lastIndex = i;
+    const sequence = escape.exec(text);
+    if (sequence) {
+      result += sequence[0];
+      i += sequence[0].length - 1;
+      continue;
+    }
     const codePoint = text.codePointAt(i);
     const char = String.fromCodePoint(codePoint);
     if (codePoint > 0xffff) i += 1;
-    const charWidth = codePointWidth(codePoint);
-    if (width + charWidth > columns) break;
+    const charWidth = widthFn(codePoint);
+    if (width + charWidth > columns) {
+      // Never leave a colour running past the cut
+      if (result.includes('\x1b[')) result += ANSI_RESET;
+      break;
+    }
     result += char;
     width += charWidth;
   }
   return result;
 }
 
+function displayWidth(text, widthFn = codePointWidth) {
+  let width = 0;
+  for (const char of String(text).replace(ANSI_SGR_REGEX, '')) {
+    width += widthFn(char.codePointAt(0));
+  }
+  return width;
+}
+
+function padToWidth(text, width) {
+  const gap = width - displayWidth(text);
+  return gap > 0 ? `${text}${' '.repeat(gap)}` : text;
+}
+
 function compareVersions(a, b) {
   const toNumeric = (version) => version.split('.').map((part) => Number.parseInt(part, 10) || 0);
   const maxLength = 3;
@@ -144,6 +205,7 @@ function ensureCodexCli(required = '0.41.0', overrides = {}) {
 
 const CANONICAL_FIELDS = [
   'sound',
+  'notify',
   'time',
   'error',
   'model',
@@ -151,8 +213,21 @@ const CANONICAL_FIELDS = [
   'sandbox',
   'daily',
   'weekly',
+  'forecast',
   'recent',
   'total',
+  'context',
+  'recent-input',
+  'recent-cached',
+  'recent-output',
+  'recent-reasoning',
+  'total-input',
+  'total-cached',
+  'total-output',
+  'total-reasoning',
+  'cache-hit',
+  'cost',
+  'review',
   'activity',
   'directory',
 ];
@@ -160,6 +235,9 @@ const CANONICAL_FIELDS = [
 const FIELD_ALIASES = {
   sound: 'sound',
   speaker: 'sound',
+  notify: 'notify',
+  notifications: 'notify',
+  bell: 'notify',
   time: 'time',
   timestamp: 'time',
   age: 'time',
@@ -177,12 +255,40 @@ const FIELD_ALIASES = {
   secondary: 'weekly',
   weekly: 'weekly',
   billing: 'weekly',
+  forecast: 'forecast',
+  burn: 'forecast',
+  'burn-rate': 'forecast',
+  eta: 'forecast',
   recent: 'recent',
   'recent-tokens': 'recent',
   latest: 'recent',
   total: 'total',
   'total-tokens': 'total',
   cumulative: 'total',
+  'recent-input': 'recent-input',
+  'last-input': 'recent-input',
+  'recent-cached': 'recent-cached',
+  'last-cached': 'recent-cached',
+  'recent-output': 'recent-output',
+  'last-output': 'recent-output',
+  'recent-reasoning': 'recent-reasoning',
+  'last-reasoning': 'recent-reasoning',
+  'total-input': 'total-input',
+  'total-cached': 'total-cached',
+  'total-output': 'total-output',
+  'total-reasoning': 'total-reasoning',
+  'cache-hit': 'cache-hit',
+  'cache-ratio': 'cache-hit',
+  cache: 'cache-hit',
+  context: 'context',
+  'context-window': 'context',
+  ctx: 'context',
+  cost: 'cost',
+  price: 'cost',
+  spend: 'cost',
+  review: 'review',
+  findings: 'review',
+  verdict: 'review',
   activity: 'activity',
   role: 'activity',
   action: 'activity',
@@ -193,6 +299,7 @@ const FIELD_ALIASES = {
 
 const DEFAULT_FORMAT_ORDER = [
   'sound',
+  'notify',
   'time',
   'activity',
   'daily',
@@ -206,8 +313,89 @@ const DEFAULT_FORMAT_ORDER = [
   'directory',
 ];
 
+const PROMPT_FORMAT_ORDER = ['activity', 'daily', 'weekly'];
+
+const LAYOUT_MODES = ['truncate', 'fit', 'wrap'];
+
+// Least important first: the order in which the fit layout gives up fields.
+const DEFAULT_DROP_ORDER = [
+  'directory',
+  'approval',
+  'sandbox',
+  'time',
+  'total-reasoning',
+  'total-output',
+  'total-cached',
+  'total-input',
+  'recent-reasoning',
+  'recent-output',
+  'recent-cached',
+  'recent-input',
+  'cache-hit',
+  'cost',
+  'forecast',
+  'review',
+  'model',
+  'total',
+  'recent',
+  'notify',
+  'sound',
+  'context',
+  'weekly',
+  'error',
+  'daily',
+  'activity',
+];
+
+// Symbols used inside field values and around the status line, as
+// [emoji, --ascii replacement]. Field labels carry their own asciiLabel.
+const GLYPHS = {
+  flash: ['🚨', '!!'],
+  warning: ['⚠️', '!'],
+  noNetwork: ['🚫', '-net'],
+  unlimited: ['∞', 'inf'],
+  noData: ['⚡', '--'],
+  soundOn: ['🔊', 'snd'],
+  soundMuted: ['🔇', 'mute'],
+  notifyOn: ['🔔', 'ntf'],
+  notifyMuted: ['🔕', 'ntf-off'],
+  verdictCorrect: ['✅', '+'],
+  verdictIncorrect: ['❗', '!'],
+  verdictUnsure: ['❔', '?'],
+  activityUser: ['👤', 'user'],
+  activityAssistant: ['⁉️', 'reply'],
+  activityTool: ['🔧', 'tool'],
+  activityThinking: ['🤔', 'think'],
+  activityReview: ['📝', 'review'],
+  selected: ['›', '>'],
+  arrows: ['↑/↓', 'up/down'],
+  separator: [' · ', ' | '],
+  ellipsis: ['…', '...'],
+};
+
+function glyph(name, ascii = false) {
+  return GLYPHS[name][ascii ? 1 : 0];
+}
+
+const ALERT_FLASH_STEPS = 10;
+const ALERT_FLASH_INTERVAL_MS = 500;
+
 const SOUND_REVERB_SEQUENCE = ['default', 'subtle', 'lush', 'none'];
 
+const COMMANDS = ['review', 'report', 'search', 'show'];
+
+const REPORT_GROUPS = ['day', 'model', 'cwd'];
+
+const TRANSCRIPT_KINDS = ['user', 'assistant', 'reasoning', 'tool', 'output', 'tokens', 'review'];
+const TRANSCRIPT_KIND_ALIASES = { thinking: 'reasoning', token_count: 'tokens' };
+
+const DURATION_UNITS_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
 function normalizeFieldKey(key) {
   if (typeof key !== 'string') return null;
   const lookup = FIELD_ALIASES[key.trim().toLowerCase()];
@@ -241,265 +429,1245 @@ function parseFormatList(raw) {
   return result;
 }
 
-function parseArgs(argv) {
-  const options = {
-    baseDir: path.join(os.homedir(), '.codex', 'sessions'),
-    watch: false,
-    interval: 15,
-    limit: 1,
-    minimal: false,
-    formatOrder: null,
-    labelOverrides: {},
-    sound: 'off',
-    soundVolume: 100,
-    soundReverb: 'default',
-  };
+const SOUND_MODES = ['all', 'some', 'assistant'];
+// Accepted wherever a sound or notify mode is, so the command line can turn
+// off what the config file enables.
+const MODE_OFF = 'off';
+const SOUND_REVERBS = ['none', 'subtle', 'default', 'lush'];
 
-  let showHelp = false;
-  let showVersion = false;
+function toNumber(raw) {
+  if (typeof raw === 'number') return raw;
+  if (typeof raw === 'string' && raw.trim()) return Number(raw);
+  return Number.NaN;
+}
 
-  for (let i = 0; i < argv.length; i += 1) {
-    const arg = argv[i];
-    if (arg.startsWith('--format=')) {
-      const value = arg.slice('--format='.length);
-      options.formatOrder = parseFormatList(value);
-    } else if (arg.startsWith('--override-')) {
-      const [flag, inlineValue] = arg.split('=', 2);
-      const keyPart = flag.slice('--override-'.length);
-      if (!keyPart) {
-        throw new Error('Override flag requires a field name.');
-      }
-      let overrideValue = inlineValue;
-      if (overrideValue === undefined) {
-        overrideValue = argv[i + 1];
-        if (overrideValue === undefined) {
-          throw new Error(`Override for ${keyPart} requires a value.`);
-        }
-        i += 1;
-      }
-      const normalizedKey = normalizeFieldKey(keyPart);
-      if (!normalizedKey) {
-        throw new Error(`Unknown override field: ${keyPart}`);
-      }
-      options.labelOverrides[normalizedKey] = overrideValue;
-    } else if ((arg === '--base' || arg === '-b') && argv[i + 1]) {
-      options.baseDir = argv[i + 1];
-      i += 1;
-    } else if (arg === '--watch' || arg === '-w') {
-      options.watch = true;
-    } else if ((arg === '--interval' || arg === '-n') && argv[i + 1]) {
-      const value = Number(argv[i + 1]);
-      if (!Number.isFinite(value) || value <= 0) {
-        throw new Error('Interval must be a positive number of seconds.');
-      }
-      options.interval = value;
-      i += 1;
-    } else if ((arg === '--limit' || arg === '-l') && argv[i + 1]) {
-      const value = Number(argv[i + 1]);
-      if (!Number.isInteger(value) || value <= 0) {
-        throw new Error('Limit must be a positive integer.');
-      }
-      options.limit = value;
-      i += 1;
-    } else if (arg === '--minimal' || arg === '-m') {
-      options.minimal = true;
-    } else if (arg === '--format' || arg === '-f') {
-      const value = argv[i + 1];
-      if (value === undefined) {
-        throw new Error('Format flag requires a comma-separated list of fields.');
-      }
-      options.formatOrder = parseFormatList(value);
-      i += 1;
-    } else if (arg.startsWith('--sound=')) {
-      const value = arg.slice('--sound='.length);
-      if (!['all', 'some', 'assistant'].includes(value)) {
-        throw new Error('Sound mode must be one of: all, some, assistant');
-      }
-      options.sound = value;
-    } else if (arg === '--sound' || arg === '-s') {
-      const nextArg = argv[i + 1];
-      if (nextArg && ['all', 'some', 'assistant'].includes(nextArg)) {
-        options.sound = nextArg;
-        i += 1;
-      } else {
-        options.sound = 'some';
-      }
-    } else if (arg.startsWith('--sound-volume=')) {
-      const value = Number(arg.slice('--sound-volume='.length));
-      if (!Number.isInteger(value) || value < 1 || value > 100) {
-        throw new Error('Sound volume must be an integer between 1 and 100');
-      }
-      options.soundVolume = value;
-    } else if (arg === '--sound-volume') {
-      const value = Number(argv[i + 1]);
-      if (!Number.isInteger(value) || value < 1 || value > 100) {
-        throw new Error('Sound volume must be an integer between 1 and 100');
-      }
-      options.soundVolume = value;
-      i += 1;
-    } else if (arg.startsWith('--sound-reverb=')) {
-      const value = arg.slice('--sound-reverb='.length);
-      if (!['none', 'subtle', 'default', 'lush'].includes(value)) {
-        throw new Error('Sound reverb must be one of: none, subtle, default, lush');
-      }
-      options.soundReverb = value;
-    } else if (arg === '--sound-reverb') {
-      const value = argv[i + 1];
-      if (!value || !['none', 'subtle', 'default', 'lush'].includes(value)) {
-        throw new Error('Sound reverb must be one of: none, subtle, default, lush');
-      }
-      options.soundReverb = value;
-      i += 1;
-    } else if (arg === '--help' || arg === '-h') {
-      showHelp = true;
-    } else if (arg === '--version' || arg === '-v') {
-      showVersion = true;
-    } else {
-      throw new Error(`Unknown argument: ${arg}`);
-    }
+function parseSoundMode(value) {
+  if (value !== MODE_OFF && !SOUND_MODES.includes(value)) {
+    throw new Error('Sound mode must be one of: all, some, assistant, off');
   }
+  return value;
+}
 
-  return { options, showHelp, showVersion };
+function parseNotifyMode(value) {
+  if (value !== MODE_OFF && !SOUND_MODES.includes(value)) {
+    throw new Error('Notify mode must be one of: all, some, assistant, off');
+  }
+  return value;
 }
 
-function buildHelpMessage() {
-  return `Usage: codex-status [options]
+function parseNotifyBackend(value) {
+  if (!NOTIFY_BACKENDS.includes(value)) {
+    throw new Error(`Notify backend must be one of: ${NOTIFY_BACKENDS.join(', ')}`);
+  }
+  return value;
+}
 
-Options:
-  --base, -b <path>     Override base sessions directory (default: ~/.codex/sessions)
-  --watch, -w           Continuously refresh status until interrupted
-  --interval, -n <sec>  Seconds between refresh updates (default: 15)
-  --limit, -l <count>   Maximum sessions to display (default: 1)
-  --minimal, -m         Hide policy and directory details for a compact view
-  --format, -f <fields> Comma-separated field order (e.g., time,model,directory)
-  --override-<field> <label>
-                        Replace a field label emoji/text (e.g., --override-model=🤩)
-  --sound, -s [mode]    Play alert sounds in watch mode (modes: all, some, assistant)
-                        Default: some when -s is used without value
-  --sound-volume <1-100>
-                        Set sound volume (1=quiet, 100=max, default: 100)
-  --sound-reverb <type> Set reverb effect (none, subtle, default, lush)
-                        Default: default
-  --version, -v         Show version information
-  --help, -h            Show this message
-`;
+function parseSoundVolume(raw) {
+  const value = toNumber(raw);
+  if (!Number.isInteger(value) || value < 1 || value > 100) {
+    throw new Error('Sound volume must be an integer between 1 and 100');
+  }
+  return value;
 }
 
-async function findSessionLogs(baseDir, limit) {
-  const stack = [baseDir];
-  const sessions = [];
+function parseSoundReverb(value) {
+  if (!SOUND_REVERBS.includes(value)) {
+    throw new Error('Sound reverb must be one of: none, subtle, default, lush');
+  }
+  return value;
+}
 
-  while (stack.length) {
-    const current = stack.pop();
-    let entries;
-    try {
-      entries = await fs.promises.readdir(current, { withFileTypes: true });
-    } catch (err) {
-      if (err.code === 'ENOENT') continue;
-      throw err;
-    }
+function parseInterval(raw) {
+  const value = toNumber(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Interval must be a positive number of seconds.');
+  }
+  return value;
+}
 
-    for (const entry of entries) {
-      const entryPath = path.join(current, entry.name);
-      if (entry.isDirectory()) {
-        stack.push(entryPath);
-      } else if (entry.isFile() && entry.name.startsWith('rollout-') && entry.name.endsWith('.jsonl')) {
-        let stats;
-        try {
-          stats = await fs.promises.stat(entryPath);
-        } catch (err) {
-          continue;
-        }
-        sessions.push({
-          path: entryPath,
-          mtime: stats.mtime,
-        });
-      }
-    }
+function parseLimit(raw) {
+  const value = toNumber(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error('Limit must be a positive integer.');
   }
+  return value;
+}
 
-  sessions.sort((a, b) => b.mtime - a.mtime);
-  if (Number.isFinite(limit) && limit > 0) {
-    return sessions.slice(0, limit);
+function parseLayoutMode(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!LAYOUT_MODES.includes(value)) {
+    throw new Error(`Invalid layout: ${raw} (expected ${LAYOUT_MODES.join(', ')})`);
   }
-  return sessions;
+  return value;
 }
 
-function formatDuration(seconds, maxUnits = 2) {
-  if (seconds == null || Number.isNaN(seconds)) return 'unknown';
-  const abs = Math.max(0, Math.floor(seconds));
-  const units = [
-    { label: 'd', value: 24 * 60 * 60 },
-    { label: 'h', value: 60 * 60 },
-    { label: 'm', value: 60 },
-    { label: 's', value: 1 },
-  ];
-  const parts = [];
-  let remaining = abs;
-  for (const unit of units) {
-    if (unit.value > remaining && parts.length === 0) continue;
-    const count = Math.floor(remaining / unit.value);
-    if (count > 0 || parts.length > 0) {
-      parts.push(`${count}${unit.label}`);
-      remaining -= count * unit.value;
-    }
-    if (parts.length >= maxUnits) break;
+function parseMaxResults(raw) {
+  const value = toNumber(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error('Max results must be a positive integer.');
   }
-  return parts.length ? parts.join(' ') : '0s';
+  return value;
 }
 
-function formatAgoShort(date) {
-  if (!date) return 'n/a';
-  const diffSeconds = Math.floor((Date.now() - date.getTime()) / 1000);
-  if (Number.isNaN(diffSeconds)) return 'n/a';
-  if (diffSeconds < 5) return 'now';
-  const duration = formatDuration(diffSeconds, 1);
-  return duration.replace(/\s+/g, '');
+function parseDebounce(raw) {
+  const value = toNumber(raw);
+  if (!Number.isInteger(value) || value < 0) {
+    throw new Error('Debounce must be a non-negative integer of milliseconds.');
+  }
+  return value;
 }
 
-function formatResetTarget(seconds, now = Date.now()) {
-  if (!Number.isFinite(seconds)) return 'n/a';
-  if (!Number.isFinite(now)) return 'n/a';
-  if (seconds <= 0) return 'now';
-  const targetMs = now + (seconds * 1000);
-  if (!Number.isFinite(targetMs)) return 'n/a';
-  const target = new Date(targetMs);
-  if (Number.isNaN(target.getTime())) return 'n/a';
-  const current = new Date(now);
-  const sameDay = (
-    target.getFullYear() === current.getFullYear()
-    && target.getMonth() === current.getMonth()
-    && target.getDate() === current.getDate()
-  );
-  if (sameDay) {
-    const hours = String(target.getHours()).padStart(2, '0');
-    const minutes = String(target.getMinutes()).padStart(2, '0');
-    return `${hours}:${minutes}`;
+function parseSeverityList(raw) {
+  if (typeof raw !== 'string') {
+    throw new Error('Severity filter must be a comma-separated list of severities.');
   }
-  const month = String(target.getMonth() + 1).padStart(2, '0');
-  const day = String(target.getDate()).padStart(2, '0');
-  return `${month}/${day}`;
+  const parts = raw
+    .split(',')
+    .map((part) => part.trim().toLowerCase())
+    .filter((part) => part.length > 0);
+  if (!parts.length) {
+    throw new Error('Severity filter must include at least one severity.');
+  }
+  return Array.from(new Set(parts));
 }
 
-function parseTimestampMs(value) {
-  if (typeof value === 'number') {
-    if (!Number.isFinite(value)) return null;
-    return value > 1e12 ? value : value * 1000;
+function parseTranscriptKinds(raw) {
+  if (typeof raw !== 'string') {
+    throw new Error('--only must be a comma-separated list of entry kinds.');
   }
-  if (typeof value === 'string') {
-    const trimmed = value.trim();
-    if (!trimmed) return null;
-    const numeric = Number(trimmed);
-    if (Number.isFinite(numeric)) {
-      return numeric > 1e12 ? numeric : numeric * 1000;
-    }
-    const parsed = Date.parse(trimmed);
-    if (!Number.isNaN(parsed)) return parsed;
+  const kinds = raw
+    .split(',')
+    .map((part) => part.trim().toLowerCase())
+    .filter((part) => part.length > 0)
+    .map((part) => TRANSCRIPT_KIND_ALIASES[part] || part);
+  const unknown = kinds.find((kind) => !TRANSCRIPT_KINDS.includes(kind));
+  if (unknown || !kinds.length) {
+    throw new Error(`Invalid entry kind: ${unknown || raw} (expected ${TRANSCRIPT_KINDS.join(', ')})`);
   }
-  return null;
+  return Array.from(new Set(kinds));
 }
 
-function resolveResetSeconds(windowData, now = Date.now()) {
+function parseMinConfidence(raw) {
+  const value = Number(raw);
+  if (raw === undefined || !Number.isFinite(value) || value < 0 || value > 100) {
+    throw new Error('Minimum confidence must be a number between 0 and 1 (or a percentage up to 100).');
+  }
+  return value > 1 ? value / 100 : value;
+}
+
+function parseTmuxWidth(raw) {
+  const value = toNumber(raw);
+  if (!Number.isInteger(value) || value <= 0) {
+    throw new Error('Tmux width must be a positive integer.');
+  }
+  return value;
+}
+
+function parseTmuxStyle(field, style) {
+  const key = normalizeFieldKey(field);
+  if (!key) {
+    throw new Error(`Unknown tmux style field: ${field}`);
+  }
+  if (typeof style !== 'string' || !style.trim() || /[\]#]/.test(style)) {
+    throw new Error('Tmux style must look like <field>=<style>, e.g. daily=fg=yellow,bold');
+  }
+  return { key, style: style.trim() };
+}
+
+function parseTmuxStyleArg(raw) {
+  if (typeof raw !== 'string' || !raw.includes('=')) {
+    throw new Error('Tmux style must look like <field>=<style>, e.g. daily=fg=yellow,bold');
+  }
+  const separator = raw.indexOf('=');
+  return parseTmuxStyle(raw.slice(0, separator), raw.slice(separator + 1));
+}
+
+// "warn" and "critical" restyle the threshold colours instead of a field.
+function parseFieldColorStyle(field, style) {
+  const name = typeof field === 'string' ? field.trim().toLowerCase() : '';
+  const key = name === 'warn' || name === 'critical' ? name : normalizeFieldKey(field);
+  if (!key) {
+    throw new Error(`Unknown color style field: ${field}`);
+  }
+  return { key, style: parseColorStyle(style) };
+}
+
+function parseColorStyleArg(raw) {
+  if (typeof raw !== 'string' || !raw.includes('=')) {
+    throw new Error('Color style must look like <field>=<style>, e.g. model=bold cyan');
+  }
+  const separator = raw.indexOf('=');
+  return parseFieldColorStyle(raw.slice(0, separator), raw.slice(separator + 1));
+}
+
+function parseColorThresholds(value) {
+  if (!isPlainObject(value)) {
+    throw new Error('colorThresholds must map daily, weekly or context to [warn, critical] percentages.');
+  }
+  const thresholds = {};
+  for (const [field, levels] of Object.entries(value)) {
+    const key = normalizeFieldKey(field);
+    if (!key || !DEFAULT_COLOR_THRESHOLDS[key]) {
+      throw new Error(`Unknown color threshold field: ${field} (expected ${Object.keys(DEFAULT_COLOR_THRESHOLDS).join(', ')})`);
+    }
+    if (!Array.isArray(levels) || levels.length !== 2) {
+      throw new Error(`colorThresholds.${field} must be [warn, critical].`);
+    }
+    const warn = parsePercentThreshold(levels[0], `colorThresholds.${field} warn`);
+    const critical = parsePercentThreshold(levels[1], `colorThresholds.${field} critical`);
+    if (warn > critical) {
+      throw new Error(`colorThresholds.${field} warn must not exceed critical.`);
+    }
+    thresholds[key] = { warn, critical };
+  }
+  return thresholds;
+}
+
+function parsePricingTable(value) {
+  if (!isPlainObject(value)) {
+    throw new Error('pricing must map model names to { input, cachedInput, output } prices.');
+  }
+  const table = {};
+  for (const [model, entry] of Object.entries(value)) {
+    if (!isPlainObject(entry)) {
+      throw new Error(`Pricing for ${model} must be an object with input and output prices.`);
+    }
+    const price = {};
+    for (const key of ['input', 'cachedInput', 'output']) {
+      const raw = key === 'cachedInput' && entry.cachedInput === undefined ? entry.input : entry[key];
+      if (typeof raw !== 'number' || !Number.isFinite(raw) || raw < 0) {
+        throw new Error(`Pricing for ${model} needs a non-negative ${key} price (USD per 1M tokens).`);
+      }
+      price[key] = raw;
+    }
+    table[model.trim().toLowerCase()] = price;
+  }
+  return table;
+}
+
+function parsePercentThreshold(raw, name) {
+  const value = toNumber(raw);
+  if (!Number.isFinite(value) || value <= 0 || value > 100) {
+    throw new Error(`${name} must be a percentage between 1 and 100.`);
+  }
+  return value;
+}
+
+const ALERT_FIELDS = ['daily', 'weekly', 'context'];
+
+function parseAlertThreshold(raw) {
+  const match = typeof raw === 'string' ? raw.trim().match(/^([a-z-]+)\s*>=\s*(\d+(?:\.\d+)?)%?$/i) : null;
+  const field = match ? normalizeFieldKey(match[1]) : null;
+  if (!match && ALERT_FIELDS.includes(normalizeFieldKey(String(raw).trim()))) {
+    throw new Error(`Invalid alert: ${raw} (quote the threshold, e.g. --alert '${String(raw).trim()}>=80', or the shell reads >= as a redirect)`);
+  }
+  if (!ALERT_FIELDS.includes(field)) {
+    throw new Error(`Invalid alert: ${raw} (expected <field>>=<percent> with field ${ALERT_FIELDS.join(', ')})`);
+  }
+  return { field, threshold: parsePercentThreshold(match[2], `Alert threshold for ${field}`) };
+}
+
+function parseHookTimeout(raw) {
+  const value = toNumber(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Hook timeout must be a positive number of seconds.');
+  }
+  return value;
+}
+
+function parsePromptMaxAge(raw) {
+  const value = toNumber(raw);
+  if (!Number.isFinite(value) || value <= 0) {
+    throw new Error('Prompt max age must be a positive number of seconds.');
+  }
+  return value;
+}
+
+// Accepts a relative duration (30m, 12h, 7d, 2w) counted back from now, a
+// calendar day (YYYY-MM-DD, local time) or any timestamp Date can parse.
+// With endOfDay, a bare calendar day covers the whole day.
+function parseTimeBound(raw, { now = Date.now(), endOfDay = false } = {}) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  const durationMatch = text.match(/^(\d+)([mhdw])$/i);
+  if (durationMatch) {
+    return now - Number(durationMatch[1]) * DURATION_UNITS_MS[durationMatch[2].toLowerCase()];
+  }
+  const dayMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dayMatch) {
+    const start = new Date(Number(dayMatch[1]), Number(dayMatch[2]) - 1, Number(dayMatch[3]));
+    if (!Number.isNaN(start.getTime()) && start.getDate() === Number(dayMatch[3])) {
+      if (!endOfDay) return start.getTime();
+      return new Date(start.getFullYear(), start.getMonth(), start.getDate() + 1).getTime() - 1;
+    }
+  } else if (text) {
+    const parsed = Date.parse(text);
+    if (Number.isFinite(parsed)) return parsed;
+  }
+  throw new Error(`Invalid time: ${raw} (use a duration like 7d or 12h, a date like 2025-01-31, or a timestamp)`);
+}
+
+function parseReportGroup(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!REPORT_GROUPS.includes(value)) {
+    throw new Error(`Group must be one of: ${REPORT_GROUPS.join(', ')}`);
+  }
+  return value;
+}
+
+function expandHomeDir(p) {
+  if (p === '~') return os.homedir();
+  if (p.startsWith(`~${path.sep}`) || p.startsWith('~/')) return path.join(os.homedir(), p.slice(2));
+  return p;
+}
+
+function defaultConfigPath(env = process.env) {
+  const configHome = env.XDG_CONFIG_HOME || path.join(os.homedir(), '.config');
+  return path.join(configHome, 'codex-status', 'config.json');
+}
+
+function defaultCachePath(env = process.env) {
+  const cacheHome = env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache');
+  return path.join(cacheHome, 'codex-status', 'status.json');
+}
+
+function readConfigFile(filePath) {
+  let text;
+  try {
+    text = fs.readFileSync(filePath, 'utf8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new Error(`Unable to read config ${filePath}: ${err.message}`);
+  }
+  try {
+    return JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid config ${filePath}: ${err.message}`);
+  }
+}
+
+function isPlainObject(value) {
+  return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function expectBoolean(key, value) {
+  if (typeof value !== 'boolean') {
+    throw new Error(`${key} must be true or false.`);
+  }
+  return value;
+}
+
+function expectString(key, value) {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`${key} must be a non-empty string.`);
+  }
+  return value;
+}
+
+function joinListValue(value) {
+  return Array.isArray(value) ? value.join(',') : value;
+}
+
+// Config file keys and how each one is applied to the parsed options. Values
+// go through the same validators as the matching command line flags.
+const CONFIG_KEYS = {
+  base: (options, value) => {
+    options.baseDir = expandHomeDir(expectString('base', value));
+  },
+  watch: (options, value) => {
+    options.watch = expectBoolean('watch', value);
+  },
+  watchFs: (options, value) => {
+    options.watchFs = expectBoolean('watchFs', value);
+    if (options.watchFs) options.watch = true;
+  },
+  debounce: (options, value) => {
+    options.debounce = parseDebounce(value);
+  },
+  interval: (options, value) => {
+    options.interval = parseInterval(value);
+  },
+  limit: (options, value) => {
+    options.limit = parseLimit(value);
+  },
+  minimal: (options, value) => {
+    options.minimal = expectBoolean('minimal', value);
+  },
+  json: (options, value) => {
+    options.json = expectBoolean('json', value);
+  },
+  format: (options, value) => {
+    options.formatOrder = parseFormatList(joinListValue(value));
+  },
+  overrides: (options, value) => {
+    if (!isPlainObject(value)) {
+      throw new Error('overrides must map field names to labels.');
+    }
+    for (const [field, label] of Object.entries(value)) {
+      const key = normalizeFieldKey(field);
+      if (!key) {
+        throw new Error(`Unknown override field: ${field}`);
+      }
+      if (typeof label !== 'string') {
+        throw new Error(`Override for ${field} requires a value.`);
+      }
+      options.labelOverrides[key] = label;
+    }
+  },
+  sound: (options, value) => {
+    if (value === false) {
+      options.sound = MODE_OFF;
+    } else if (value === true) {
+      options.sound = 'some';
+    } else {
+      options.sound = parseSoundMode(value);
+    }
+  },
+  soundVolume: (options, value) => {
+    options.soundVolume = parseSoundVolume(value);
+  },
+  notify: (options, value) => {
+    if (value === false) {
+      options.notify = MODE_OFF;
+    } else if (value === true) {
+      options.notify = 'assistant';
+    } else {
+      options.notify = parseNotifyMode(value);
+    }
+  },
+  notifyBackend: (options, value) => {
+    options.notifyBackend = parseNotifyBackend(value);
+  },
+  notifyCommand: (options, value) => {
+    options.notifyCommand = expectString('notifyCommand', value);
+  },
+  notifyFile: (options, value) => {
+    options.notifyFile = expandHomeDir(expectString('notifyFile', value));
+  },
+  soundReverb: (options, value) => {
+    options.soundReverb = parseSoundReverb(value);
+  },
+  tmux: (options, value) => {
+    options.tmux = expectBoolean('tmux', value);
+  },
+  tmuxWidth: (options, value) => {
+    options.tmuxWidth = parseTmuxWidth(value);
+  },
+  tmuxStyles: (options, value) => {
+    if (!isPlainObject(value)) {
+      throw new Error('tmuxStyles must map field names to tmux styles.');
+    }
+    for (const [field, style] of Object.entries(value)) {
+      const parsed = parseTmuxStyle(field, style);
+      options.tmuxStyles[parsed.key] = parsed.style;
+    }
+  },
+  pricing: (options, value) => {
+    options.pricing = parsePricingTable(value);
+  },
+  contextWarn: (options, value) => {
+    options.contextWarn = parsePercentThreshold(value, 'Context warning threshold');
+  },
+  promptMaxAge: (options, value) => {
+    options.promptMaxAge = parsePromptMaxAge(value);
+  },
+  promptFallback: (options, value) => {
+    if (typeof value !== 'string') {
+      throw new Error('promptFallback must be a string.');
+    }
+    options.promptFallback = value;
+  },
+  cacheFile: (options, value) => {
+    options.cacheFile = expandHomeDir(expectString('cacheFile', value));
+  },
+  writeCache: (options, value) => {
+    options.writeCache = expectBoolean('writeCache', value);
+  },
+  severity: (options, value) => {
+    options.reviewSeverity = parseSeverityList(joinListValue(value));
+  },
+  minConfidence: (options, value) => {
+    options.reviewMinConfidence = parseMinConfidence(value);
+  },
+  alerts: (options, value) => {
+    const list = Array.isArray(value) ? value : [value];
+    options.alerts = list.map((entry) => parseAlertThreshold(expectString('alerts', entry)));
+  },
+  hooks: (options, value) => {
+    if (!isPlainObject(value)) {
+      throw new Error('hooks must map event names to a command or a list of commands.');
+    }
+    options.hooks = [];
+    for (const [event, commands] of Object.entries(value)) {
+      for (const command of Array.isArray(commands) ? commands : [commands]) {
+        options.hooks.push(parseHookSpec(`${event}=${expectString(`hooks.${event}`, command)}`));
+      }
+    }
+  },
+  hookTimeout: (options, value) => {
+    options.hookTimeout = parseHookTimeout(value);
+  },
+  groupBy: (options, value) => {
+    options.reportGroup = parseReportGroup(value);
+  },
+  color: (options, value) => {
+    if (value === true || value === false) {
+      options.color = value ? 'always' : 'never';
+    } else {
+      options.color = parseColorMode(value);
+    }
+  },
+  theme: (options, value) => {
+    options.theme = parseThemeName(value);
+  },
+  colors: (options, value) => {
+    if (!isPlainObject(value)) {
+      throw new Error('colors must map field names to color styles.');
+    }
+    for (const [field, style] of Object.entries(value)) {
+      const parsed = parseFieldColorStyle(field, style);
+      options.colorStyles[parsed.key] = parsed.style;
+    }
+  },
+  colorThresholds: (options, value) => {
+    options.colorThresholds = parseColorThresholds(value);
+  },
+  ascii: (options, value) => {
+    options.ascii = expectBoolean('ascii', value);
+  },
+  layout: (options, value) => {
+    options.layout = parseLayoutMode(value);
+  },
+  dropOrder: (options, value) => {
+    options.dropOrder = parseFormatList(joinListValue(value));
+  },
+};
+
+function applyConfigValues(options, values, source) {
+  if (!isPlainObject(values)) {
+    throw new Error(`Invalid config ${source}: expected a JSON object.`);
+  }
+  for (const [key, value] of Object.entries(values)) {
+    if (key === 'profiles') continue;
+    const apply = CONFIG_KEYS[key];
+    if (!apply) {
+      throw new Error(`Invalid config ${source}: unknown key ${key}`);
+    }
+    try {
+      apply(options, value);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+  }
+}
+
+function applyConfig(options, config, { source, profile = null }) {
+  applyConfigValues(options, config, source);
+  if (config.profiles !== undefined && !isPlainObject(config.profiles)) {
+    throw new Error(`Invalid config ${source}: profiles must map profile names to settings.`);
+  }
+  if (!profile) return;
+  const profiles = config.profiles || {};
+  if (!Object.prototype.hasOwnProperty.call(profiles, profile)) {
+    throw new Error(`Unknown profile: ${profile} (not defined in ${source})`);
+  }
+  if (isPlainObject(profiles[profile]) && 'profiles' in profiles[profile]) {
+    throw new Error(`Invalid config ${source}: profiles cannot be nested (profile ${profile}).`);
+  }
+  applyConfigValues(options, profiles[profile], `${source} (profile ${profile})`);
+}
+
+// Config selection has to happen before the regular flags are applied, so
+// these flags are picked out of argv up front.
+function scanConfigFlags(argv) {
+  const result = { configPath: null, profile: null, useConfig: true };
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith('--config=')) {
+      result.configPath = arg.slice('--config='.length);
+    } else if (arg === '--config') {
+      result.configPath = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--profile=')) {
+      result.profile = arg.slice('--profile='.length);
+    } else if (arg === '--profile' || arg === '-p') {
+      result.profile = argv[i + 1];
+      i += 1;
+    } else if (arg === '--no-config') {
+      result.useConfig = false;
+    }
+  }
+  if (result.configPath !== null && !result.configPath) {
+    throw new Error('Config flag requires a file path.');
+  }
+  if (result.profile !== null && !result.profile) {
+    throw new Error('Profile flag requires a profile name.');
+  }
+  if (!result.useConfig && (result.configPath || result.profile)) {
+    throw new Error('--no-config cannot be combined with --config or --profile.');
+  }
+  return result;
+}
+
+function parseArgs(argv, overrides = {}) {
+  const options = {
+    baseDir: path.join(os.homedir(), '.codex', 'sessions'),
+    watch: false,
+    watchFs: false,
+    debounce: 250,
+    interval: 15,
+    limit: 1,
+    minimal: false,
+    json: false,
+    tmux: false,
+    tmuxWidth: null,
+    tmuxStyles: {},
+    prompt: false,
+    promptMaxAge: 30,
+    promptFallback: '',
+    cacheFile: defaultCachePath(overrides.env || process.env),
+    writeCache: false,
+    refreshCache: false,
+    formatOrder: null,
+    labelOverrides: {},
+    contextWarn: null,
+    pricing: {},
+    sound: 'off',
+    soundVolume: 100,
+    soundReverb: 'default',
+    notify: 'off',
+    notifyBackend: 'auto',
+    notifyCommand: null,
+    notifyFile: null,
+    command: null,
+    session: null,
+    reviewSeverity: null,
+    reviewMinConfidence: null,
+    since: null,
+    sinceText: null,
+    until: null,
+    untilText: null,
+    reportGroup: 'day',
+    csv: false,
+    alerts: [],
+    hooks: [],
+    hookTimeout: DEFAULT_HOOK_TIMEOUT_SECONDS,
+    cwdFilter: null,
+    modelFilter: null,
+    sandboxFilter: null,
+    approvalFilter: null,
+    searchPattern: null,
+    searchRegex: false,
+    searchIgnoreCase: false,
+    searchMaxResults: 100,
+    transcriptKinds: null,
+    color: 'auto',
+    theme: 'default',
+    colorStyles: {},
+    colorThresholds: {},
+    ascii: null,
+    layout: 'truncate',
+    dropOrder: null,
+  };
+
+  let showHelp = false;
+  let showVersion = false;
+  // Review filters given on the command line; config defaults may set them for any command
+  let reviewFlag = null;
+
+  const configFlags = scanConfigFlags(argv);
+  if (configFlags.useConfig) {
+    const loadConfig = overrides.loadConfig || readConfigFile;
+    const configPath = configFlags.configPath
+      ? expandHomeDir(configFlags.configPath)
+      : defaultConfigPath(overrides.env || process.env);
+    const config = loadConfig(configPath);
+    if (config == null) {
+      if (configFlags.configPath) {
+        throw new Error(`Config file not found: ${configPath}`);
+      }
+      if (configFlags.profile) {
+        throw new Error(`Unknown profile: ${configFlags.profile} (no config file at ${configPath})`);
+      }
+    } else {
+      applyConfig(options, config, { source: configPath, profile: configFlags.profile });
+    }
+  }
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    if (arg.startsWith('--config=') || arg.startsWith('--profile=') || arg === '--no-config') {
+      // handled by scanConfigFlags
+    } else if (arg === '--config' || arg === '--profile' || arg === '-p') {
+      i += 1;
+    } else if (arg.startsWith('--format=')) {
+      const value = arg.slice('--format='.length);
+      options.formatOrder = parseFormatList(value);
+    } else if (arg.startsWith('--override-')) {
+      const [flag, inlineValue] = arg.split('=', 2);
+      const keyPart = flag.slice('--override-'.length);
+      if (!keyPart) {
+        throw new Error('Override flag requires a field name.');
+      }
+      let overrideValue = inlineValue;
+      if (overrideValue === undefined) {
+        overrideValue = argv[i + 1];
+        if (overrideValue === undefined) {
+          throw new Error(`Override for ${keyPart} requires a value.`);
+        }
+        i += 1;
+      }
+      const normalizedKey = normalizeFieldKey(keyPart);
+      if (!normalizedKey) {
+        throw new Error(`Unknown override field: ${keyPart}`);
+      }
+      options.labelOverrides[normalizedKey] = overrideValue;
+    } else if ((arg === '--base' || arg === '-b') && argv[i + 1]) {
+      options.baseDir = argv[i + 1];
+      i += 1;
+    } else if (arg === '--cwd' && argv[i + 1]) {
+      options.cwdFilter = path.resolve(expandHomeDir(argv[i + 1]));
+      i += 1;
+    } else if (arg === '--here') {
+      options.cwdFilter = path.resolve(overrides.cwd || process.cwd());
+    } else if (arg === '--watch' || arg === '-w') {
+      options.watch = true;
+    } else if (arg === '--no-watch') {
+      options.watch = false;
+      options.watchFs = false;
+    } else if (arg === '--watch-fs') {
+      options.watch = true;
+      options.watchFs = true;
+    } else if (arg === '--debounce' && argv[i + 1]) {
+      options.debounce = parseDebounce(argv[i + 1]);
+      i += 1;
+    } else if ((arg === '--interval' || arg === '-n') && argv[i + 1]) {
+      options.interval = parseInterval(argv[i + 1]);
+      i += 1;
+    } else if ((arg === '--limit' || arg === '-l') && argv[i + 1]) {
+      options.limit = parseLimit(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--minimal' || arg === '-m') {
+      options.minimal = true;
+    } else if (arg === '--no-minimal') {
+      options.minimal = false;
+    } else if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--no-json') {
+      options.json = false;
+    } else if (arg.startsWith('--context-warn=')) {
+      options.contextWarn = parsePercentThreshold(arg.slice('--context-warn='.length), 'Context warning threshold');
+    } else if (arg === '--context-warn') {
+      options.contextWarn = parsePercentThreshold(argv[i + 1], 'Context warning threshold');
+      i += 1;
+    } else if (arg === '--prompt') {
+      options.prompt = true;
+    } else if (arg === '--prompt-max-age' && argv[i + 1]) {
+      options.promptMaxAge = parsePromptMaxAge(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--alert=')) {
+      options.alerts.push(parseAlertThreshold(arg.slice('--alert='.length)));
+    } else if (arg === '--alert') {
+      options.alerts.push(parseAlertThreshold(argv[i + 1]));
+      i += 1;
+    } else if (arg.startsWith('--on=')) {
+      options.hooks.push(parseHookSpec(arg.slice('--on='.length)));
+    } else if (arg === '--on') {
+      options.hooks.push(parseHookSpec(argv[i + 1]));
+      i += 1;
+    } else if (arg === '--hook-timeout') {
+      options.hookTimeout = parseHookTimeout(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--prompt-fallback=')) {
+      options.promptFallback = arg.slice('--prompt-fallback='.length);
+    } else if (arg === '--prompt-fallback' && argv[i + 1] !== undefined) {
+      options.promptFallback = argv[i + 1];
+      i += 1;
+    } else if (arg === '--cache-file' && argv[i + 1]) {
+      options.cacheFile = argv[i + 1];
+      i += 1;
+    } else if (arg === '--write-cache') {
+      options.writeCache = true;
+    } else if (arg === '--no-write-cache') {
+      options.writeCache = false;
+    } else if (arg === '--refresh-cache') {
+      options.refreshCache = true;
+    } else if (arg === '--tmux') {
+      options.tmux = true;
+    } else if (arg === '--no-tmux') {
+      options.tmux = false;
+    } else if (arg.startsWith('--tmux-width=')) {
+      options.tmuxWidth = parseTmuxWidth(arg.slice('--tmux-width='.length));
+    } else if (arg === '--tmux-width') {
+      options.tmuxWidth = parseTmuxWidth(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--tmux-style=') || arg === '--tmux-style') {
+      const raw = arg === '--tmux-style' ? argv[i + 1] : arg.slice('--tmux-style='.length);
+      if (arg === '--tmux-style') i += 1;
+      const { key, style } = parseTmuxStyleArg(raw);
+      options.tmuxStyles[key] = style;
+    } else if (arg.startsWith('--color=')) {
+      options.color = parseColorMode(arg.slice('--color='.length));
+    } else if (arg === '--color') {
+      options.color = parseColorMode(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--no-color') {
+      options.color = 'never';
+    } else if (arg.startsWith('--layout=')) {
+      options.layout = parseLayoutMode(arg.slice('--layout='.length));
+    } else if (arg === '--layout') {
+      options.layout = parseLayoutMode(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--drop-order=')) {
+      options.dropOrder = parseFormatList(arg.slice('--drop-order='.length));
+    } else if (arg === '--drop-order') {
+      options.dropOrder = parseFormatList(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--ascii') {
+      options.ascii = true;
+    } else if (arg === '--no-ascii') {
+      options.ascii = false;
+    } else if (arg.startsWith('--theme=')) {
+      options.theme = parseThemeName(arg.slice('--theme='.length));
+    } else if (arg === '--theme') {
+      options.theme = parseThemeName(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--color-style=') || arg === '--color-style') {
+      const raw = arg === '--color-style' ? argv[i + 1] : arg.slice('--color-style='.length);
+      if (arg === '--color-style') i += 1;
+      const { key, style } = parseColorStyleArg(raw);
+      options.colorStyles[key] = style;
+    } else if (arg === '--format' || arg === '-f') {
+      const value = argv[i + 1];
+      if (value === undefined) {
+        throw new Error('Format flag requires a comma-separated list of fields.');
+      }
+      options.formatOrder = parseFormatList(value);
+      i += 1;
+    } else if (arg.startsWith('--sound=')) {
+      options.sound = parseSoundMode(arg.slice('--sound='.length));
+    } else if (arg === '--sound' || arg === '-s') {
+      const nextArg = argv[i + 1];
+      if (nextArg && (SOUND_MODES.includes(nextArg) || nextArg === MODE_OFF)) {
+        options.sound = nextArg;
+        i += 1;
+      } else {
+        options.sound = 'some';
+      }
+    } else if (arg === '--no-sound') {
+      options.sound = MODE_OFF;
+    } else if (arg.startsWith('--sound-volume=')) {
+      options.soundVolume = parseSoundVolume(arg.slice('--sound-volume='.length));
+    } else if (arg === '--sound-volume') {
+      options.soundVolume = parseSoundVolume(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--sound-reverb=')) {
+      options.soundReverb = parseSoundReverb(arg.slice('--sound-reverb='.length));
+    } else if (arg === '--sound-reverb') {
+      options.soundReverb = parseSoundReverb(argv[i + 1]);
+      i += 1;
+    } else if (arg.startsWith('--notify=')) {
+      options.notify = parseNotifyMode(arg.slice('--notify='.length));
+    } else if (arg === '--notify') {
+      const nextArg = argv[i + 1];
+      if (nextArg && (SOUND_MODES.includes(nextArg) || nextArg === MODE_OFF)) {
+        options.notify = nextArg;
+        i += 1;
+      } else {
+        options.notify = 'assistant';
+      }
+    } else if (arg === '--no-notify') {
+      options.notify = MODE_OFF;
+    } else if (arg === '--notify-backend') {
+      options.notifyBackend = parseNotifyBackend(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--notify-command' && argv[i + 1]) {
+      options.notifyCommand = argv[i + 1];
+      i += 1;
+    } else if (arg === '--notify-file' && argv[i + 1]) {
+      options.notifyFile = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--severity=')) {
+      options.reviewSeverity = parseSeverityList(arg.slice('--severity='.length));
+      reviewFlag = '--severity';
+    } else if (arg === '--severity') {
+      options.reviewSeverity = parseSeverityList(argv[i + 1]);
+      reviewFlag = '--severity';
+      i += 1;
+    } else if (arg.startsWith('--min-confidence=')) {
+      options.reviewMinConfidence = parseMinConfidence(arg.slice('--min-confidence='.length));
+      reviewFlag = '--min-confidence';
+    } else if (arg === '--min-confidence') {
+      options.reviewMinConfidence = parseMinConfidence(argv[i + 1]);
+      reviewFlag = '--min-confidence';
+      i += 1;
+    } else if (arg === '--since' || arg === '--from') {
+      options.since = parseTimeBound(argv[i + 1]);
+      options.sinceText = argv[i + 1];
+      i += 1;
+    } else if (arg === '--until' || arg === '--to') {
+      options.until = parseTimeBound(argv[i + 1], { endOfDay: true });
+      options.untilText = argv[i + 1];
+      i += 1;
+    } else if (arg === '--model' && argv[i + 1]) {
+      options.modelFilter = argv[i + 1];
+      i += 1;
+    } else if (arg === '--sandbox' && argv[i + 1]) {
+      options.sandboxFilter = argv[i + 1];
+      i += 1;
+    } else if (arg === '--approval' && argv[i + 1]) {
+      options.approvalFilter = argv[i + 1];
+      i += 1;
+    } else if (arg.startsWith('--group-by=')) {
+      options.reportGroup = parseReportGroup(arg.slice('--group-by='.length));
+    } else if (arg === '--group-by') {
+      options.reportGroup = parseReportGroup(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--csv') {
+      options.csv = true;
+    } else if (arg === '--regex') {
+      options.searchRegex = true;
+    } else if (arg === '--ignore-case' || arg === '-i') {
+      options.searchIgnoreCase = true;
+    } else if (arg.startsWith('--only=')) {
+      options.transcriptKinds = parseTranscriptKinds(arg.slice('--only='.length));
+    } else if (arg === '--only') {
+      options.transcriptKinds = parseTranscriptKinds(argv[i + 1]);
+      i += 1;
+    } else if (arg === '--max-results') {
+      options.searchMaxResults = parseMaxResults(argv[i + 1]);
+      i += 1;
+    } else if (i === 0 && COMMANDS.includes(arg)) {
+      options.command = arg;
+    } else if ((options.command === 'review' || options.command === 'show') && !arg.startsWith('-') && options.session === null) {
+      options.session = arg;
+    } else if (options.command === 'search' && !arg.startsWith('-') && options.searchPattern === null) {
+      options.searchPattern = arg;
+    } else if (arg === '--help' || arg === '-h') {
+      showHelp = true;
+    } else if (arg === '--version' || arg === '-v') {
+      showVersion = true;
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (options.notifyBackend === 'command' && !options.notifyCommand) {
+    throw new Error('Notify backend command requires --notify-command.');
+  }
+  if (options.notifyBackend === 'file' && !options.notifyFile) {
+    throw new Error('Notify backend file requires --notify-file.');
+  }
+  if (options.command === 'search' && !options.searchPattern && !showHelp && !showVersion) {
+    throw new Error('search requires a pattern.');
+  }
+  if (reviewFlag && options.command !== 'review' && !showHelp && !showVersion) {
+    throw new Error(`${reviewFlag} only applies to the review command.`);
+  }
+
+  return { options, showHelp, showVersion };
+}
+
+function buildHelpMessage() {
+  return `Usage: codex-status [command] [options]
+
+Commands:
+  review [session]      Print the full findings of the latest review
+                        (session may be a rollout path or an id fragment)
+  report                Summarize tokens, sessions, turns and time across all logs
+  search <pattern>      Find user messages, assistant replies and tool calls
+                        containing the pattern, newest sessions first
+  show [session]        Print the timeline of one session (default: the newest)
+
+Options:
+  --base, -b <path>     Override base sessions directory (default: ~/.codex/sessions)
+  --cwd <path>          Only show sessions started in this directory or below it
+  --here                Same as --cwd with the current directory
+  --watch, -w           Continuously refresh status until interrupted
+                        (--no-watch overrides watch or watchFs from the config)
+  --interval, -n <sec>  Seconds between refresh updates (default: 15)
+  --watch-fs            Watch mode that also redraws when session files change
+                        (the interval remains as a fallback)
+  --debounce <ms>       Delay before a file change triggers a redraw (default: 250)
+  --limit, -l <count>   Maximum sessions to display (default: 1)
+  --minimal, -m         Hide policy and directory details for a compact view
+                        (--no-minimal turns it off)
+  --json                Print structured JSON (one document per refresh in watch mode)
+                        (--no-json turns it off)
+  --alert '<field>>=<pct>'
+                        Watch mode: flash a field (and sound, with --sound) once
+                        it crosses a threshold (fields: daily, weekly, context;
+                        repeatable). Quote it: unquoted, the shell reads >= as
+                        a redirect, e.g. --alert 'daily>=80'
+  --on <event>=<cmd>    Watch mode: run a shell command on an event (activity, user,
+                        assistant, tool, thinking, review, threshold; repeatable)
+  --hook-timeout <sec>  Kill hook commands that run longer than this (default: 10)
+  --prompt              Print a compact line for shell prompts from the status cache
+  --prompt-max-age <sec>
+                        Oldest cache accepted by --prompt (default: 30)
+  --prompt-fallback <text>
+                        Printed by --prompt when no fresh data is cached (default: empty)
+  --cache-file <path>   Status cache read by --prompt and written by --write-cache
+                        (default: ~/.cache/codex-status/status.json)
+  --write-cache         Watch mode: keep the status cache up to date
+                        (--no-write-cache turns it off)
+  --refresh-cache       Refresh the status cache and exit
+  --tmux                Print a single tmux status-line segment (no screen clearing)
+                        (--no-tmux turns it off)
+  --tmux-width <cols>   Column budget for --tmux, measured the way tmux does
+  --tmux-style <field>=<style>
+                        Wrap a field in a tmux style (e.g., daily=fg=yellow,bold)
+  --format, -f <fields> Comma-separated field order (e.g., time,model,directory)
+  --context-warn <pct>  Mark the context field once this much of the window is used
+  --color <mode>        auto (terminal output without NO_COLOR), always or never
+                        (default: auto); --no-color is short for never
+  --layout <mode>       How a status wider than the terminal is shown: truncate
+                        (cut at the edge), fit (shorten, then drop whole fields)
+                        or wrap (move whole fields to extra lines); default: truncate
+  --drop-order <fields> Fields fit gives up first (default: directory,approval,
+                        sandbox,time,...; daily and activity go last)
+  --ascii               Use plain-text labels instead of emoji (default: on when
+                        the locale is not UTF-8; --no-ascii forces emoji)
+  --theme <name>        Color theme: default, vivid or minimal (default: default)
+  --color-style <field>=<style>
+                        Color a field (e.g., model=bold cyan); warn and critical
+                        restyle the threshold colors
+  --override-<field> <label>
+                        Replace a field label emoji/text (e.g., --override-model=🤩)
+  --sound, -s [mode]    Play alert sounds in watch mode (modes: all, some, assistant,
+                        off); default: some when -s is used without value.
+                        --no-sound is short for off
+  --sound-volume <1-100>
+                        Set sound volume (1=quiet, 100=max, default: 100)
+  --sound-reverb <type> Set reverb effect (none, subtle, default, lush)
+                        Default: default
+  --notify [mode]       Send desktop notifications in watch mode (modes: all, some,
+                        assistant, off; default: assistant when used without value).
+                        --no-notify is short for off
+  --notify-backend <name>
+                        auto, notify-send, osascript, command or file (default: auto)
+  --notify-command <cmd>
+                        Shell command run per notification (CODEX_STATUS_TITLE
+                        and CODEX_STATUS_BODY hold the text)
+  --notify-file <path>  Append notifications to this file as JSON lines
+  --severity <list>     review: only show findings with these severities
+  --min-confidence <n>  review: only show findings at or above this confidence (0-1)
+  --since, --from <when>
+                        Only sessions started at or after this time
+                        (e.g., 7d, 12h, 2025-01-31 or an ISO timestamp)
+  --until, --to <when>  Only sessions started at or before this time
+  --model <glob>        Only sessions using a matching model (e.g., gpt-5*)
+  --sandbox <mode>      Only sessions with this sandbox mode (e.g., read-only)
+  --approval <policy>   Only sessions with this approval policy (e.g., on-request)
+  --group-by <key>      report: group rows by day, model or cwd (default: day)
+  --csv                 report: print CSV instead of a table (--json also works)
+  --regex               search: treat the pattern as a regular expression
+  --ignore-case, -i     search: match regardless of case
+  --max-results <n>     search: stop after this many matches (default: 100)
+  --only <kinds>        show: only these entries (user, assistant, reasoning,
+                        tool, output, tokens, review)
+  --config <path>       Load defaults from this file
+                        (default: ~/.config/codex-status/config.json)
+  --profile, -p <name>  Apply a named profile from the config file
+  --no-config           Ignore the config file
+  --version, -v         Show version information
+  --help, -h            Show this message
+`;
+}
+
+const SESSION_ID_REGEX = /([0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})\.jsonl$/i;
+
+function sessionIdFromPath(filePath) {
+  if (typeof filePath !== 'string') return null;
+  const match = path.basename(filePath).match(SESSION_ID_REGEX);
+  return match ? match[1].toLowerCase() : null;
+}
+
+const ROLLOUT_TIMESTAMP_REGEX = /^rollout-(\d{4})-(\d{2})-(\d{2})T(\d{2})-(\d{2})-(\d{2})/;
+
+// Rollout file names carry the local time the session started.
+function rolloutStartMs(fileName) {
+  const match = fileName.match(ROLLOUT_TIMESTAMP_REGEX);
+  if (!match) return null;
+  const [year, month, day, hour, minute, second] = match.slice(1).map(Number);
+  return new Date(year, month - 1, day, hour, minute, second).getTime();
+}
+
+// The local time span covered by a YYYY, YYYY/MM or YYYY/MM/DD folder, or
+// null for folders outside that layout.
+function dateFolderRange(parts) {
+  if (!parts.length || parts.length > 3 || !parts.every((part) => /^\d+$/.test(part))) return null;
+  const [year, month = null, day = null] = parts.map(Number);
+  const start = new Date(year, month === null ? 0 : month - 1, day === null ? 1 : day);
+  let end;
+  if (day !== null) {
+    end = new Date(year, month - 1, day + 1);
+  } else if (month !== null) {
+    end = new Date(year, month, 1);
+  } else {
+    end = new Date(year + 1, 0, 1);
+  }
+  return { start: start.getTime(), end: end.getTime() - 1 };
+}
+
+function outsideRange(start, end, since, until) {
+  return (since !== null && end < since) || (until !== null && start > until);
+}
+
+// since/until (epoch ms) skip whole date folders and files by the start time
+// in their names, so old days are never listed or stat'ed.
+async function findSessionLogs(baseDir, limit, { since = null, until = null } = {}) {
+  const stack = [{ dir: baseDir, parts: [] }];
+  const sessions = [];
+  const bounded = since !== null || until !== null;
+
+  while (stack.length) {
+    const { dir: current, parts } = stack.pop();
+    let entries;
+    try {
+      entries = await fs.promises.readdir(current, { withFileTypes: true });
+    } catch (err) {
+      if (err.code === 'ENOENT') continue;
+      throw err;
+    }
+
+    for (const entry of entries) {
+      const entryPath = path.join(current, entry.name);
+      if (entry.isDirectory()) {
+        const childParts = [...parts, entry.name];
+        const range = bounded ? dateFolderRange(childParts) : null;
+        if (range && outsideRange(range.start, range.end, since, until)) continue;
+        stack.push({ dir: entryPath, parts: childParts });
+      } else if (entry.isFile() && entry.name.startsWith('rollout-') && entry.name.endsWith('.jsonl')) {
+        const startMs = bounded ? rolloutStartMs(entry.name) : null;
+        if (startMs !== null && outsideRange(startMs, startMs, since, until)) continue;
+        let stats;
+        try {
+          stats = await fs.promises.stat(entryPath);
+        } catch (err) {
+          continue;
+        }
+        sessions.push({
+          path: entryPath,
+          mtime: stats.mtime,
+        });
+      }
+    }
+  }
+
+  sessions.sort((a, b) => b.mtime - a.mtime);
+  if (Number.isFinite(limit) && limit > 0) {
+    return sessions.slice(0, limit);
+  }
+  return sessions;
+}
+
+async function resolveSessionLog(baseDir, selector) {
+  if (selector) {
+    const candidate = path.resolve(selector);
+    try {
+      const stats = await fs.promises.stat(candidate);
+      if (stats.isFile()) return { path: candidate, mtime: stats.mtime };
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+    const needle = selector.toLowerCase();
+    const sessions = await findSessionLogs(baseDir);
+    const exact = sessions.find((session) => sessionIdFromPath(session.path) === needle);
+    if (exact) return exact;
+    const matches = sessions.filter((session) => path.basename(session.path).toLowerCase().includes(needle));
+    if (!matches.length) {
+      throw new Error(`No rollout log matches ${selector} in ${baseDir}`);
+    }
+    if (matches.length > 1) {
+      const names = matches.slice(0, 5).map((session) => path.basename(session.path)).join(', ');
+      const more = matches.length > 5 ? `, and ${matches.length - 5} more` : '';
+      throw new Error(`${selector} matches ${matches.length} rollout logs (${names}${more}); use a longer id`);
+    }
+    return matches[0];
+  }
+
+  const [latest] = await findSessionLogs(baseDir, 1);
+  if (!latest) {
+    throw new Error(`No rollout logs found in ${baseDir}`);
+  }
+  return latest;
+}
+
+function formatDuration(seconds, maxUnits = 2) {
+  if (seconds == null || Number.isNaN(seconds)) return 'unknown';
+  const abs = Math.max(0, Math.floor(seconds));
+  const units = [
+    { label: 'd', value: 24 * 60 * 60 },
+    { label: 'h', value: 60 * 60 },
+    { label: 'm', value: 60 },
+    { label: 's', value: 1 },
+  ];
+  const parts = [];
+  let remaining = abs;
+  for (const unit of units) {
+    if (unit.value > remaining && parts.length === 0) continue;
+    const count = Math.floor(remaining / unit.value);
+    if (count > 0 || parts.length > 0) {
+      parts.push(`${count}${unit.label}`);
+      remaining -= count * unit.value;
+    }
+    if (parts.length >= maxUnits) break;
+  }
+  return parts.length ? parts.join(' ') : '0s';
+}
+
+function formatAgoShort(date) {
+  if (!date) return 'n/a';
+  const diffSeconds = Math.floor((Date.now() - date.getTime()) / 1000);
+  if (Number.isNaN(diffSeconds)) return 'n/a';
+  if (diffSeconds < 5) return 'now';
+  const duration = formatDuration(diffSeconds, 1);
+  return duration.replace(/\s+/g, '');
+}
+
+function formatResetTarget(seconds, now = Date.now()) {
+  if (!Number.isFinite(seconds)) return 'n/a';
+  if (!Number.isFinite(now)) return 'n/a';
+  if (seconds <= 0) return 'now';
+  const targetMs = now + (seconds * 1000);
+  if (!Number.isFinite(targetMs)) return 'n/a';
+  const target = new Date(targetMs);
+  if (Number.isNaN(target.getTime())) return 'n/a';
+  const current = new Date(now);
+  const sameDay = (
+    target.getFullYear() === current.getFullYear()
+    && target.getMonth() === current.getMonth()
+    && target.getDate() === current.getDate()
+  );
+  if (sameDay) {
+    const hours = String(target.getHours()).padStart(2, '0');
+    const minutes = String(target.getMinutes()).padStart(2, '0');
+    return `${hours}:${minutes}`;
+  }
+  const month = String(target.getMonth() + 1).padStart(2, '0');
+  const day = String(target.getDate()).padStart(2, '0');
+  return `${month}/${day}`;
+}
+
+function parseTimestampMs(value) {
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) return null;
+    return value > 1e12 ? value : value * 1000;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (!trimmed) return null;
+    const numeric = Number(trimmed);
+    if (Number.isFinite(numeric)) {
+      return numeric > 1e12 ? numeric : numeric * 1000;
+    }
+    const parsed = Date.parse(trimmed);
+    if (!Number.isNaN(parsed)) return parsed;
+  }
+  return null;
+}
+
+function resolveResetSeconds(windowData, now = Date.now()) {
   if (!windowData || typeof windowData !== 'object') return null;
   const resetsSecondsRaw = windowData.resets_in_seconds;
   if (Number.isFinite(resetsSecondsRaw)) {
@@ -535,6 +1703,12 @@ function formatCompact(value) {
   return typeof value === 'number' ? compactFormatter.format(value) : 'n/a';
 }
 
+const countFormatter = new Intl.NumberFormat('en-US');
+
+function formatCount(value) {
+  return typeof value === 'number' ? countFormatter.format(value) : 'n/a';
+}
+
 function normalizeReviewFinding(raw) {
   if (!raw || typeof raw !== 'object') return null;
 
@@ -726,37 +1900,64 @@ function parseUserActionReview(text) {
   return normalizeReviewPayload(resultsText, { source: 'user_action' });
 }
 
-async function readLog(filePath) {
+function parseLogRecord(line) {
+  const trimmed = line.trim();
+  if (!trimmed) return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch (err) {
+    return null;
+  }
+}
+
+// Streams a rollout log one parsed record at a time. Returning false from
+// onRecord stops reading.
+async function forEachLogRecord(filePath, onRecord) {
   const stream = fs.createReadStream(filePath, 'utf8');
   const rl = readline.createInterface({ input: stream, crlfDelay: Infinity });
+  try {
+    for await (const line of rl) {
+      const record = parseLogRecord(line);
+      if (record && onRecord(record) === false) break;
+    }
+  } finally {
+    rl.close();
+    stream.destroy();
+  }
+}
 
+// The parser keeps everything readLog reports in its closure so callers can
+// feed it lines in several batches (see createIncrementalLogReader).
+function createLogParser() {
   let lastContext = null;
   let lastTokenCount = null;
+  let firstTimestamp = null;
   let lastTimestamp = null;
+  let turnCount = 0;
   let lastAssistantMessageTime = null;
+  let lastAssistantMessage = null;
   let lastActivity = null;
   let lastReview = null;
   let reviewMode = false;
   let pendingReview = null;
 
-  for await (const line of rl) {
-    const trimmed = line.trim();
-    if (!trimmed) continue;
-
-    let record;
-    try {
-      record = JSON.parse(trimmed);
-    } catch (err) {
-      continue;
-    }
+  function consumeLine(line) {
+    const record = parseLogRecord(line);
+    if (record) consumeRecord(record);
+  }
 
+  function consumeRecord(record) {
     if (record.timestamp) {
       const ts = new Date(record.timestamp);
-      if (!Number.isNaN(ts.getTime())) lastTimestamp = ts;
+      if (!Number.isNaN(ts.getTime())) {
+        if (!firstTimestamp) firstTimestamp = ts;
+        lastTimestamp = ts;
+      }
     }
 
     if (record.type === 'turn_context') {
       lastContext = record.payload || null;
+      turnCount += 1;
     } else if (record.type === 'event_msg' && record.payload) {
       const eventPayload = record.payload;
       if (eventPayload.type === 'token_count') {
@@ -798,100 +1999,1028 @@ async function readLog(filePath) {
         }
       }
 
-      // Track activity type for display
-      if (payload.role === 'user') {
-        let treated = false;
-        if (Array.isArray(payload.content)) {
-          for (const part of payload.content) {
-            if (part && typeof part === 'object' && typeof part.text === 'string') {
-              const reviewFromUserAction = parseUserActionReview(part.text);
-              if (reviewFromUserAction) {
-                if (lastTimestamp) reviewFromUserAction.timestamp = lastTimestamp;
-                lastReview = mergeReviewData(lastReview, reviewFromUserAction) || reviewFromUserAction;
-                if (!lastReview.verdict) {
-                  lastReview.verdict = deriveReviewVerdict(lastReview.overallCorrectness);
-                }
-                lastActivity = 'review';
-                treated = true;
-                break;
-              }
-            }
-          }
-        }
-        if (!treated) {
-          lastActivity = 'user';
-        }
-      } else if (payload.role === 'assistant') {
-        lastActivity = 'assistant';
-      } else if (payload.type === 'function_call') {
-        lastActivity = 'tool';
-      } else if (payload.type === 'reasoning') {
-        lastActivity = 'thinking';
+      // Track activity type for display
+      if (payload.role === 'user') {
+        let treated = false;
+        if (Array.isArray(payload.content)) {
+          for (const part of payload.content) {
+            if (part && typeof part === 'object' && typeof part.text === 'string') {
+              const reviewFromUserAction = parseUserActionReview(part.text);
+              if (reviewFromUserAction) {
+                if (lastTimestamp) reviewFromUserAction.timestamp = lastTimestamp;
+                lastReview = mergeReviewData(lastReview, reviewFromUserAction) || reviewFromUserAction;
+                if (!lastReview.verdict) {
+                  lastReview.verdict = deriveReviewVerdict(lastReview.overallCorrectness);
+                }
+                lastActivity = 'review';
+                treated = true;
+                break;
+              }
+            }
+          }
+        }
+        if (!treated) {
+          lastActivity = 'user';
+        }
+      } else if (payload.role === 'assistant') {
+        lastActivity = 'assistant';
+        const text = Array.isArray(payload.content)
+          ? payload.content
+            .filter((part) => part && typeof part === 'object' && typeof part.text === 'string')
+            .map((part) => part.text)
+            .join('\n')
+            .trim()
+          : '';
+        if (text) lastAssistantMessage = text;
+      } else if (payload.type === 'function_call') {
+        lastActivity = 'tool';
+      } else if (payload.type === 'reasoning') {
+        lastActivity = 'thinking';
+      }
+    }
+  }
+
+  function snapshot() {
+    return {
+      lastContext,
+      lastTokenCount,
+      firstTimestamp,
+      lastTimestamp,
+      turnCount,
+      lastAssistantMessageTime,
+      lastAssistantMessage,
+      lastActivity,
+      lastReview,
+    };
+  }
+
+  return { consumeLine, consumeRecord, snapshot };
+}
+
+async function readLog(filePath) {
+  const parser = createLogParser();
+  await forEachLogRecord(filePath, parser.consumeRecord);
+  return parser.snapshot();
+}
+
+// Codex injects its environment and instructions as user messages; they are
+// not something the user typed.
+const INJECTED_USER_PREFIXES = ['<environment_context>', '<user_instructions>'];
+
+function joinContentText(content) {
+  if (typeof content === 'string') return content.trim();
+  if (!Array.isArray(content)) return '';
+  return content
+    .filter((part) => part && typeof part === 'object' && typeof part.text === 'string')
+    .map((part) => part.text)
+    .join('\n')
+    .trim();
+}
+
+function toolCallText(value) {
+  if (value == null) return '';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+// Turns a user message, assistant reply or tool call into a transcript entry
+// ({ timestamp, kind, name, text }), or null for anything else.
+function describeTranscriptRecord(record) {
+  const payload = record && record.payload;
+  if (!payload || typeof payload !== 'object' || record.type !== 'response_item') return null;
+  const entry = (kind, text, name = null) => (text ? { timestamp: recordTimestamp(record), kind, name, text } : null);
+
+  if (payload.role === 'user') {
+    const text = joinContentText(payload.content);
+    if (INJECTED_USER_PREFIXES.some((prefix) => text.startsWith(prefix))) return null;
+    return entry('user', text);
+  }
+  if (payload.role === 'assistant') return entry('assistant', joinContentText(payload.content));
+  if (payload.type === 'function_call') return entry('tool', toolCallText(payload.arguments), payload.name || null);
+  if (payload.type === 'custom_tool_call') return entry('tool', toolCallText(payload.input), payload.name || null);
+  return null;
+}
+
+function recordTimestamp(record) {
+  const ts = record.timestamp ? new Date(record.timestamp) : null;
+  return ts && !Number.isNaN(ts.getTime()) ? ts : null;
+}
+
+const TAIL_READ_CHUNK_BYTES = 1024 * 1024;
+
+// Returns a readLog-compatible function that remembers the byte offset and
+// parser state of every file it has seen, so repeated calls only parse the
+// bytes appended since the previous call. A file that shrank or was replaced
+// (different inode) is parsed again from the start. An unterminated final
+// line is held back until its newline arrives. gatherStatuses calls retain()
+// with the logs each refresh reads, so files that fell out of --limit are
+// forgotten.
+function createIncrementalLogReader() {
+  const cache = new Map();
+
+  async function readLogIncremental(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    let entry = cache.get(filePath);
+    if (
+      !entry
+      || entry.dev !== stats.dev
+      || entry.ino !== stats.ino
+      || stats.size < entry.offset
+    ) {
+      entry = {
+        dev: stats.dev,
+        ino: stats.ino,
+        offset: 0,
+        pending: Buffer.alloc(0),
+        parser: createLogParser(),
+      };
+      cache.set(filePath, entry);
+    }
+
+    if (stats.size > entry.offset) {
+      const handle = await fs.promises.open(filePath, 'r');
+      try {
+        while (entry.offset < stats.size) {
+          const length = Math.min(TAIL_READ_CHUNK_BYTES, stats.size - entry.offset);
+          const buffer = Buffer.alloc(length);
+          const { bytesRead } = await handle.read(buffer, 0, length, entry.offset);
+          if (bytesRead === 0) break;
+          entry.offset += bytesRead;
+
+          const chunk = entry.pending.length
+            ? Buffer.concat([entry.pending, buffer.subarray(0, bytesRead)])
+            : buffer.subarray(0, bytesRead);
+          let lineStart = 0;
+          let newline = chunk.indexOf(0x0a, lineStart);
+          while (newline !== -1) {
+            entry.parser.consumeLine(chunk.toString('utf8', lineStart, newline));
+            lineStart = newline + 1;
+            newline = chunk.indexOf(0x0a, lineStart);
+          }
+          entry.pending = Buffer.from(chunk.subarray(lineStart));
+        }
+      } finally {
+        await handle.close();
+      }
+    }
+
+    return entry.parser.snapshot();
+  }
+
+  readLogIncremental.retain = (filePaths) => {
+    const keep = new Set(filePaths);
+    for (const filePath of cache.keys()) {
+      if (!keep.has(filePath)) cache.delete(filePath);
+    }
+  };
+
+  return readLogIncremental;
+}
+
+function sandboxMode(policy) {
+  if (typeof policy === 'string') return policy;
+  return policy && typeof policy.mode === 'string' ? policy.mode : null;
+}
+
+const META_TAIL_CHUNK_BYTES = 64 * 1024;
+
+// Walks a log backwards from size and returns the last complete record that
+// matches, so the newest turn_context costs a read of the file's tail rather
+// than a parse of the whole history.
+async function findLastLogRecord(filePath, size, matches) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    let end = size;
+    let carry = Buffer.alloc(0);
+    while (end > 0) {
+      const start = Math.max(0, end - META_TAIL_CHUNK_BYTES);
+      const buffer = Buffer.alloc(end - start);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, start);
+      const chunk = Buffer.concat([buffer.subarray(0, bytesRead), carry]);
+      let lineEnd = chunk.length;
+      while (lineEnd > 0) {
+        const newline = chunk.lastIndexOf(0x0a, lineEnd - 1);
+        // The first line of a chunk may be cut; finish it with the next read
+        if (newline === -1 && start > 0) break;
+        const line = chunk.toString('utf8', newline + 1, lineEnd);
+        const record = line.includes('turn_context') || line.includes('session_meta') ? parseLogRecord(line) : null;
+        if (record && matches(record)) return record;
+        lineEnd = Math.max(0, newline);
+      }
+      carry = chunk.subarray(0, lineEnd);
+      end = start;
+    }
+    return null;
+  } finally {
+    await handle.close();
+  }
+}
+
+// Where and how a session runs, from its newest turn_context: the same one
+// the status line shows. A log that has not recorded a turn yet falls back
+// to the cwd in its session_meta.
+async function readSessionMeta(filePath, size) {
+  const meta = { cwd: null, model: null, sandbox: null, approval: null };
+  const turn = await findLastLogRecord(filePath, size, (record) => record.type === 'turn_context');
+  const context = (turn && turn.payload) || {};
+  if (typeof context.cwd === 'string') meta.cwd = context.cwd;
+  if (typeof context.model === 'string') meta.model = context.model;
+  meta.sandbox = sandboxMode(context.sandbox_policy);
+  if (typeof context.approval_policy === 'string') meta.approval = context.approval_policy;
+  if (meta.cwd) return meta;
+  await forEachLogRecord(filePath, (record) => {
+    if (record.type !== 'session_meta') return true;
+    const payload = record.payload || {};
+    if (typeof payload.cwd === 'string') meta.cwd = payload.cwd;
+    return false;
+  });
+  return meta;
+}
+
+// Caches each log's meta until the file changes size. Watch mode keeps one
+// for its lifetime; retain() drops the logs the last scan did not reach.
+function createSessionMetaReader() {
+  const cache = new Map();
+
+  async function readCachedSessionMeta(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    const cached = cache.get(filePath);
+    if (cached && cached.size === stats.size && cached.ino === stats.ino) return cached.meta;
+    const meta = await readSessionMeta(filePath, stats.size);
+    cache.set(filePath, { size: stats.size, ino: stats.ino, meta });
+    return meta;
+  }
+
+  readCachedSessionMeta.retain = (filePaths) => {
+    const keep = new Set(filePaths);
+    for (const filePath of cache.keys()) {
+      if (!keep.has(filePath)) cache.delete(filePath);
+    }
+  };
+
+  return readCachedSessionMeta;
+}
+
+function globToRegExp(glob) {
+  const source = glob
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*';
+      if (char === '?') return '.';
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// Time bounds typed as text are resolved against now, so a long-running
+// watcher re-resolving "7d" on each refresh keeps the window moving.
+function buildSessionFilter(options, { now = Date.now() } = {}) {
+  const filter = {};
+  if (options.cwdFilter) filter.cwd = options.cwdFilter;
+  if (options.since != null) {
+    filter.since = options.sinceText ? parseTimeBound(options.sinceText, { now }) : options.since;
+  }
+  if (options.until != null) {
+    filter.until = options.untilText ? parseTimeBound(options.untilText, { now, endOfDay: true }) : options.until;
+  }
+  if (options.modelFilter) filter.model = options.modelFilter;
+  if (options.sandboxFilter) filter.sandbox = options.sandboxFilter;
+  if (options.approvalFilter) filter.approval = options.approvalFilter;
+  return Object.keys(filter).length ? filter : null;
+}
+
+function describeSessionFilter(filter) {
+  const parts = [];
+  if (filter.cwd) parts.push(`cwd ${filter.cwd}`);
+  if (filter.since != null) parts.push(`since ${new Date(filter.since).toISOString()}`);
+  if (filter.until != null) parts.push(`until ${new Date(filter.until).toISOString()}`);
+  if (filter.model) parts.push(`model ${filter.model}`);
+  if (filter.sandbox) parts.push(`sandbox ${filter.sandbox}`);
+  if (filter.approval) parts.push(`approval ${filter.approval}`);
+  return parts.join(', ');
+}
+
+// The command line flags that recreate the filter, for background refreshes
+// and cache keys. Time bounds keep the text the user typed, so "7d" stays
+// relative to each refresh instead of freezing at the first one.
+function sessionFilterArgs(options) {
+  const args = [];
+  if (options.cwdFilter) args.push('--cwd', options.cwdFilter);
+  if (options.since != null) args.push('--since', options.sinceText || new Date(options.since).toISOString());
+  if (options.until != null) args.push('--until', options.untilText || new Date(options.until).toISOString());
+  if (options.modelFilter) args.push('--model', options.modelFilter);
+  if (options.sandboxFilter) args.push('--sandbox', options.sandboxFilter);
+  if (options.approvalFilter) args.push('--approval', options.approvalFilter);
+  return args;
+}
+
+function hasMetaFilter(filter) {
+  return Boolean(filter.cwd || filter.model || filter.sandbox || filter.approval);
+}
+
+function isSameOrInside(dir, parent) {
+  const relative = path.relative(parent, dir);
+  return relative === '' || (relative.split(path.sep)[0] !== '..' && !path.isAbsolute(relative));
+}
+
+function matchesSessionFilter(meta, filter) {
+  if (filter.cwd && (!meta.cwd || !isSameOrInside(path.resolve(meta.cwd), filter.cwd))) return false;
+  if (filter.model && (!meta.model || !globToRegExp(filter.model).test(meta.model))) return false;
+  if (filter.sandbox && (meta.sandbox || '').toLowerCase() !== filter.sandbox.toLowerCase()) return false;
+  if (filter.approval && (meta.approval || '').toLowerCase() !== filter.approval.toLowerCase()) return false;
+  return true;
+}
+
+// Filters run before the limit, so --limit 3 means three matching sessions.
+async function findFilteredSessionLogs(baseDir, limit, filter, { readMeta = createSessionMetaReader() } = {}) {
+  const logs = await findSessionLogs(baseDir, null, { since: filter.since, until: filter.until });
+  if (!hasMetaFilter(filter)) {
+    return Number.isFinite(limit) && limit > 0 ? logs.slice(0, limit) : logs;
+  }
+  const matches = [];
+  const scanned = [];
+  for (const log of logs) {
+    scanned.push(log.path);
+    let meta;
+    try {
+      meta = await readMeta(log.path);
+    } catch (err) {
+      continue;
+    }
+    if (!matchesSessionFilter(meta, filter)) continue;
+    matches.push(log);
+    if (Number.isFinite(limit) && limit > 0 && matches.length >= limit) break;
+  }
+  if (typeof readMeta.retain === 'function') readMeta.retain(scanned);
+  return matches;
+}
+
+async function gatherStatuses(baseDir, limit, { reader = readLog, readMeta, filter = null } = {}) {
+  const sessions = filter
+    ? await findFilteredSessionLogs(baseDir, limit, filter, { readMeta })
+    : await findSessionLogs(baseDir, limit);
+  if (typeof reader.retain === 'function') reader.retain(sessions.map((session) => session.path));
+  if (!sessions.length) {
+    return {
+      error: filter
+        ? `No rollout logs matching ${describeSessionFilter(filter)} found in ${baseDir}`
+        : `No rollout logs found in ${baseDir}`,
+    };
+  }
+
+  const details = [];
+  for (const session of sessions) {
+    try {
+      const info = await reader(session.path);
+      details.push({
+        log: session,
+        ...info,
+      });
+    } catch (err) {
+      details.push({
+        log: session,
+        error: err.message || String(err),
+      });
+    }
+  }
+
+  return { sessions: details };
+}
+
+const STATUS_CACHE_VERSION = 1;
+
+function serializeDetail(detail) {
+  const review = detail.lastReview ? { ...detail.lastReview } : null;
+  if (review) delete review.raw;
+  return {
+    log: detail.log ? { path: detail.log.path || null, mtime: detail.log.mtime || null } : null,
+    lastContext: detail.lastContext || null,
+    lastTokenCount: detail.lastTokenCount || null,
+    lastTimestamp: detail.lastTimestamp || null,
+    lastAssistantMessageTime: detail.lastAssistantMessageTime || null,
+    lastActivity: detail.lastActivity || null,
+    lastReview: review,
+    error: detail.error || null,
+  };
+}
+
+function reviveDate(value) {
+  if (typeof value !== 'string') return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function deserializeDetail(raw) {
+  const detail = { ...raw };
+  detail.log = raw.log ? { path: raw.log.path, mtime: reviveDate(raw.log.mtime) } : { mtime: null };
+  detail.lastTimestamp = reviveDate(raw.lastTimestamp);
+  detail.lastAssistantMessageTime = reviveDate(raw.lastAssistantMessageTime);
+  if (raw.lastReview) {
+    detail.lastReview = { ...raw.lastReview, timestamp: reviveDate(raw.lastReview.timestamp) };
+  }
+  if (!detail.error) delete detail.error;
+  return detail;
+}
+
+async function writeStatusCache(cachePath, baseDir, status, now = Date.now()) {
+  const payload = {
+    version: STATUS_CACHE_VERSION,
+    writtenAt: now,
+    baseDir,
+    error: status.error || null,
+    sessions: (status.sessions || []).map(serializeDetail),
+  };
+  await fs.promises.mkdir(path.dirname(cachePath), { recursive: true });
+  // Write then rename so readers never see a half-written file.
+  const tmpPath = `${cachePath}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(payload));
+  await fs.promises.rename(tmpPath, cachePath);
+}
+
+// Filtered views get their own cache file next to the default one, so a
+// prompt filtered to one project never reads another project's status.
+function resolveCacheFile(options) {
+  const filterArgs = sessionFilterArgs(options);
+  if (!filterArgs.length || !options.cacheFile) return options.cacheFile;
+  const key = crypto.createHash('sha1').update(JSON.stringify(filterArgs)).digest('hex').slice(0, 10);
+  const ext = path.extname(options.cacheFile);
+  return `${options.cacheFile.slice(0, options.cacheFile.length - ext.length)}.${key}${ext}`;
+}
+
+function readStatusCache(cachePath) {
+  let payload;
+  try {
+    payload = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+  } catch (err) {
+    return null;
+  }
+  if (!payload || payload.version !== STATUS_CACHE_VERSION || !Number.isFinite(payload.writtenAt)) return null;
+  const status = payload.error
+    ? { error: payload.error }
+    : { sessions: (Array.isArray(payload.sessions) ? payload.sessions : []).map(deserializeDetail) };
+  return { writtenAt: payload.writtenAt, baseDir: payload.baseDir, status };
+}
+
+const REVIEW_VERDICT_GLYPHS = {
+  correct: 'verdictCorrect',
+  incorrect: 'verdictIncorrect',
+  unsure: 'verdictUnsure',
+};
+
+function reviewVerdictIcon(verdict, ascii = false) {
+  return REVIEW_VERDICT_GLYPHS[verdict] ? glyph(REVIEW_VERDICT_GLYPHS[verdict], ascii) : '';
+}
+
+function formatConfidence(value) {
+  if (!Number.isFinite(value)) return null;
+  // Confidence scores are usually 0-1, but tolerate payloads that send percentages.
+  const percent = value <= 1 ? value * 100 : value;
+  return `${Math.round(percent)}%`;
+}
+
+function highestFindingPriority(findings) {
+  if (!Array.isArray(findings)) return null;
+  let highest = null;
+  for (const finding of findings) {
+    if (finding && Number.isFinite(finding.priority) && (highest === null || finding.priority < highest)) {
+      highest = finding.priority;
+    }
+  }
+  return highest;
+}
+
+function formatReviewStatus(review, { minimal = false, ascii = false } = {}) {
+  if (!review) return null;
+  const findings = Array.isArray(review.findings) ? review.findings : [];
+  const icon = reviewVerdictIcon(review.verdict, ascii);
+  const parts = [`${icon}${findings.length}`];
+  if (minimal) return parts[0];
+
+  const priority = highestFindingPriority(findings);
+  if (priority !== null) parts.push(`P${priority}`);
+  const confidence = formatConfidence(review.overallConfidence);
+  if (confidence) parts.push(confidence);
+  return parts.join('/');
+}
+
+function describeReviewStatus(review, ascii = false) {
+  if (!review) return null;
+  const findings = Array.isArray(review.findings) ? review.findings : [];
+  const parts = [];
+  if (review.verdict) parts.push(`${reviewVerdictIcon(review.verdict, ascii)} ${review.verdict}`.trim());
+  parts.push(`${findings.length} ${findings.length === 1 ? 'finding' : 'findings'}`);
+  const priority = highestFindingPriority(findings);
+  if (priority !== null) parts.push(`highest P${priority}`);
+  const confidence = formatConfidence(review.overallConfidence);
+  if (confidence) parts.push(`${confidence} confidence`);
+  return parts.join(', ');
+}
+
+function formatFindingLocation(location) {
+  if (!location) return null;
+  const file = location.file || 'unknown';
+  if (location.startLine == null) return file;
+  if (location.endLine == null || location.endLine === location.startLine) {
+    return `${file}:${location.startLine}`;
+  }
+  return `${file}:${location.startLine}-${location.endLine}`;
+}
+
+function normalizeConfidence(value) {
+  if (!Number.isFinite(value)) return null;
+  return value > 1 ? value / 100 : value;
+}
+
+function selectReviewFindings(findings, { severity = null, minConfidence = null } = {}) {
+  const list = Array.isArray(findings) ? findings : [];
+  return list
+    .filter((finding) => {
+      if (severity && !(finding.severity && severity.includes(finding.severity.toLowerCase()))) return false;
+      if (minConfidence != null) {
+        const confidence = normalizeConfidence(finding.confidence);
+        if (confidence == null || confidence < minConfidence) return false;
+      }
+      return true;
+    })
+    .map((finding, index) => ({ finding, index }))
+    .sort((a, b) => {
+      const aPriority = Number.isFinite(a.finding.priority) ? a.finding.priority : Infinity;
+      const bPriority = Number.isFinite(b.finding.priority) ? b.finding.priority : Infinity;
+      if (aPriority !== bPriority) return aPriority - bPriority;
+      return a.index - b.index;
+    })
+    .map(({ finding }) => finding);
+}
+
+function formatReviewReport(review, log, filters = {}) {
+  const lines = [];
+  if (log && log.path) lines.push(`Session: ${log.path}`);
+  if (review.timestamp instanceof Date) lines.push(`Reviewed: ${review.timestamp.toISOString()}`);
+
+  const icon = reviewVerdictIcon(review.verdict, filters.ascii);
+  const verdict = [icon, review.verdict || 'unknown'].filter(Boolean).join(' ');
+  lines.push(review.overallCorrectness
+    ? `Verdict: ${verdict} (${review.overallCorrectness})`
+    : `Verdict: ${verdict}`);
+  const confidence = formatConfidence(review.overallConfidence);
+  if (confidence) lines.push(`Confidence: ${confidence}`);
+  if (review.summary) lines.push(`Summary: ${review.summary}`);
+
+  const allFindings = Array.isArray(review.findings) ? review.findings : [];
+  const findings = selectReviewFindings(allFindings, filters);
+  lines.push('');
+  if (!allFindings.length) {
+    lines.push('No findings.');
+    return lines;
+  }
+  lines.push(`Findings (${findings.length} of ${allFindings.length}):`);
+  findings.forEach((finding, index) => {
+    lines.push(`${index + 1}. ${finding.title || '(untitled finding)'}`);
+    const meta = [];
+    if (Number.isFinite(finding.priority)) meta.push(`priority P${finding.priority}`);
+    if (finding.severity) meta.push(`severity ${finding.severity}`);
+    const findingConfidence = formatConfidence(finding.confidence);
+    if (findingConfidence) meta.push(`confidence ${findingConfidence}`);
+    if (meta.length) lines.push(`   ${meta.join(' · ')}`);
+    const location = formatFindingLocation(finding.location);
+    if (location) lines.push(`   ${location}`);
+    if (finding.body) {
+      for (const bodyLine of finding.body.split(/\r?\n/)) {
+        lines.push(bodyLine ? `   ${bodyLine}` : '');
+      }
+    }
+  });
+  return lines;
+}
+
+function formatRateWindow(windowData) {
+  if (!windowData) return 'n/a';
+  const used = windowData.used_percent != null ? `${windowData.used_percent}%` : 'n/a';
+  const nowMs = Date.now();
+  const resetSeconds = resolveResetSeconds(windowData, nowMs);
+  const reset = formatResetTarget(resetSeconds, nowMs);
+  return `${used}/${reset}`;
+}
+
+function formatRateUsed(windowData) {
+  return windowData && windowData.used_percent != null ? `${windowData.used_percent}%` : null;
+}
+
+function formatRateWindowFull(windowData) {
+  if (!windowData) return null;
+  const parts = [windowData.used_percent != null ? `${windowData.used_percent}% used` : 'usage unknown'];
+  const nowMs = Date.now();
+  const resetSeconds = resolveResetSeconds(windowData, nowMs);
+  if (Number.isFinite(resetSeconds)) {
+    parts.push(resetSeconds <= 0
+      ? 'resets now'
+      : `resets ${formatLocalTimestamp(new Date(nowMs + (resetSeconds * 1000)))} (in ${formatDuration(resetSeconds)})`);
+  }
+  if (Number.isFinite(windowData.window_minutes)) parts.push(`${formatDuration(windowData.window_minutes * 60, 1)} window`);
+  return parts.join(', ');
+}
+
+const RATE_HISTORY_WINDOW_MS = 30 * 60 * 1000;
+const RATE_HISTORY_MIN_SPAN_MS = 60 * 1000;
+const RATE_WINDOW_KEYS = ['primary', 'secondary'];
+
+// Recent used_percent samples per rate-limit window, kept by the watcher to
+// measure how fast each limit is being used. A drop in usage means the
+// window reset, so its history starts over.
+function createRateHistory({ windowMs = RATE_HISTORY_WINDOW_MS } = {}) {
+  const samples = { primary: [], secondary: [] };
+
+  function record(rateLimits, now = Date.now()) {
+    if (!rateLimits || typeof rateLimits !== 'object') return;
+    for (const key of RATE_WINDOW_KEYS) {
+      const windowData = rateLimits[key];
+      if (!windowData || !Number.isFinite(windowData.used_percent)) continue;
+      const previous = samples[key][samples[key].length - 1];
+      const kept = previous && windowData.used_percent < previous.used ? [] : samples[key];
+      kept.push({ at: now, used: windowData.used_percent });
+      samples[key] = kept.filter((sample) => now - sample.at <= windowMs);
+    }
+  }
+
+  // Percent per second, or null until the samples span at least a minute.
+  function rate(key) {
+    const list = samples[key] || [];
+    if (list.length < 2) return null;
+    const first = list[0];
+    const last = list[list.length - 1];
+    const spanMs = last.at - first.at;
+    if (spanMs < RATE_HISTORY_MIN_SPAN_MS) return null;
+    return (last.used - first.used) / (spanMs / 1000);
+  }
+
+  return { record, rate };
+}
+
+// Without a history, assume usage so far was spread evenly over the part of
+// the window that has already elapsed.
+function estimateWindowRate(windowData, resetSeconds) {
+  if (!Number.isFinite(windowData.window_minutes) || !Number.isFinite(resetSeconds)) return null;
+  const elapsedSeconds = windowData.window_minutes * 60 - resetSeconds;
+  if (elapsedSeconds < RATE_HISTORY_MIN_SPAN_MS / 1000) return null;
+  return windowData.used_percent / elapsedSeconds;
+}
+
+function forecastRateWindow(windowData, key, history, now = Date.now()) {
+  if (!windowData || !Number.isFinite(windowData.used_percent)) return null;
+  const resetSeconds = resolveResetSeconds(windowData, now);
+  const measured = history ? history.rate(key) : null;
+  const rate = measured !== null ? measured : estimateWindowRate(windowData, resetSeconds);
+  if (rate === null) return null;
+  let exhaustSeconds = null;
+  if (windowData.used_percent >= 100) {
+    exhaustSeconds = 0;
+  } else if (rate > 0) {
+    exhaustSeconds = (100 - windowData.used_percent) / rate;
+  }
+  return {
+    exhaustSeconds,
+    resetSeconds,
+    beforeReset: exhaustSeconds !== null && Number.isFinite(resetSeconds) && exhaustSeconds < resetSeconds,
+  };
+}
+
+function forecastRateLimits(rateLimits, history, now = Date.now()) {
+  if (!rateLimits) return null;
+  const forecasts = RATE_WINDOW_KEYS
+    .filter((key) => rateLimits[key])
+    .map((key) => ({ key, forecast: forecastRateWindow(rateLimits[key], key, history, now) }));
+  return forecasts.every(({ forecast }) => forecast === null) ? null : forecasts;
+}
+
+function describeRateForecast(forecast) {
+  if (!forecast) return 'no estimate yet';
+  if (forecast.exhaustSeconds === null) return 'not growing';
+  const when = forecast.exhaustSeconds <= 0 ? 'used up' : `runs out in ${formatDuration(forecast.exhaustSeconds)}`;
+  return forecast.beforeReset ? `${when}, before it resets` : when;
+}
+
+function formatRateForecast(forecast, ascii = false) {
+  if (!forecast) return 'n/a';
+  if (forecast.exhaustSeconds === null) return glyph('unlimited', ascii);
+  const text = forecast.exhaustSeconds <= 0 ? 'now' : formatDuration(forecast.exhaustSeconds, 1);
+  return forecast.beforeReset ? `${text}${glyph('warning', ascii)}` : text;
+}
+
+function readAlertValue(field, detail, now) {
+  const tokenCount = detail.lastTokenCount || null;
+  if (!tokenCount) return null;
+  if (field === 'context') {
+    const usage = resolveContextUsage(tokenCount.info || null);
+    return usage ? { value: usage.percent, resetAt: null } : null;
+  }
+  const rateLimits = tokenCount.rate_limits || {};
+  const windowData = field === 'daily' ? rateLimits.primary : rateLimits.secondary;
+  if (!windowData || !Number.isFinite(windowData.used_percent)) return null;
+  const resetSeconds = resolveResetSeconds(windowData, now);
+  return {
+    value: windowData.used_percent,
+    resetAt: Number.isFinite(resetSeconds) ? now + resetSeconds * 1000 : null,
+  };
+}
+
+// Each alert fires once when its value reaches the threshold. It re-arms when
+// the value drops back below, or when the rate window it fired in has reset
+// and a newer snapshot has been logged since.
+function createAlertTracker(alerts = []) {
+  const states = alerts.map((alert) => ({ alert, armed: true, resetAt: null, observedAt: null }));
+
+  function check(detail, now = Date.now()) {
+    const fired = [];
+    if (!detail) return fired;
+    const observedAt = detail.lastTimestamp instanceof Date ? detail.lastTimestamp.getTime() : null;
+    for (const state of states) {
+      const { field, threshold } = state.alert;
+      const reading = readAlertValue(field, detail, now);
+      if (!reading) continue;
+      if (!state.armed) {
+        const windowReset = state.resetAt !== null
+          && now >= state.resetAt
+          && observedAt !== null
+          && (state.observedAt === null || observedAt > state.observedAt);
+        if (reading.value < threshold || windowReset) state.armed = true;
+      }
+      if (state.armed && reading.value >= threshold) {
+        state.armed = false;
+        state.resetAt = reading.resetAt;
+        state.observedAt = observedAt;
+        fired.push({ field, threshold, value: reading.value });
       }
     }
+    return fired;
   }
 
-  return { lastContext, lastTokenCount, lastTimestamp, lastAssistantMessageTime, lastActivity, lastReview };
+  return { check };
 }
 
-async function gatherStatuses(baseDir, limit) {
-  const sessions = await findSessionLogs(baseDir, limit);
-  if (!sessions.length) {
-    return { error: `No rollout logs found in ${baseDir}` };
-  }
+// Bump whenever a field in the --json output is renamed, removed or changes
+// meaning. Adding fields does not require a new version.
+const JSON_SCHEMA_VERSION = 1;
 
-  const details = [];
-  for (const session of sessions) {
-    try {
-      const info = await readLog(session.path);
-      details.push({
-        log: session,
-        ...info,
-      });
-    } catch (err) {
-      details.push({
-        log: session,
-        error: err.message || String(err),
-      });
+function toIsoString(date) {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  return date.toISOString();
+}
+
+function describeTokenUsage(usage) {
+  if (!usage || typeof usage !== 'object') return null;
+  const pick = (key) => (typeof usage[key] === 'number' ? usage[key] : null);
+  return {
+    input: pick('input_tokens'),
+    cachedInput: pick('cached_input_tokens'),
+    output: pick('output_tokens'),
+    reasoningOutput: pick('reasoning_output_tokens'),
+    total: pick('total_tokens'),
+  };
+}
+
+function describeRateWindow(windowData, now) {
+  if (!windowData || typeof windowData !== 'object') return null;
+  const resetsInSeconds = resolveResetSeconds(windowData, now);
+  return {
+    usedPercent: Number.isFinite(windowData.used_percent) ? windowData.used_percent : null,
+    windowMinutes: Number.isFinite(windowData.window_minutes) ? windowData.window_minutes : null,
+    resetsInSeconds,
+    resetsAt: Number.isFinite(resetsInSeconds) ? toIsoString(new Date(now + (resetsInSeconds * 1000))) : null,
+  };
+}
+
+function describeReview(review) {
+  if (!review) return null;
+  const findings = Array.isArray(review.findings) ? review.findings : [];
+  return {
+    verdict: review.verdict || null,
+    overallCorrectness: review.overallCorrectness || null,
+    summary: review.summary || null,
+    confidence: Number.isFinite(review.overallConfidence) ? review.overallConfidence : null,
+    source: review.source || null,
+    timestamp: toIsoString(review.timestamp),
+    findings: findings.map((finding) => ({
+      title: finding.title,
+      body: finding.body,
+      priority: finding.priority,
+      severity: finding.severity,
+      confidence: finding.confidence,
+      location: finding.location,
+    })),
+  };
+}
+
+function describeSession(detail, now) {
+  const context = detail.lastContext || {};
+  const tokenCount = detail.lastTokenCount || null;
+  const tokenInfo = tokenCount ? tokenCount.info || null : null;
+  const rateLimits = tokenCount ? tokenCount.rate_limits || null : null;
+  const contextUsage = resolveContextUsage(tokenInfo);
+  const sandbox = context.sandbox_policy && typeof context.sandbox_policy === 'object'
+    ? {
+      mode: context.sandbox_policy.mode || null,
+      networkAccess: typeof context.sandbox_policy.network_access === 'boolean'
+        ? context.sandbox_policy.network_access
+        : null,
+    }
+    : null;
+
+  return {
+    id: sessionIdFromPath(detail.log && detail.log.path),
+    path: detail.log && detail.log.path ? detail.log.path : null,
+    modifiedAt: toIsoString(detail.log && detail.log.mtime),
+    lastEventAt: toIsoString(detail.lastTimestamp),
+    lastAssistantMessageAt: toIsoString(detail.lastAssistantMessageTime),
+    activity: detail.lastActivity || null,
+    error: detail.error || null,
+    context: {
+      model: typeof context.model === 'string' && context.model ? context.model : null,
+      cwd: typeof context.cwd === 'string' && context.cwd ? context.cwd : null,
+      approvalPolicy: context.approval_policy || null,
+      sandbox,
+    },
+    tokens: {
+      last: describeTokenUsage(tokenInfo && tokenInfo.last_token_usage),
+      total: describeTokenUsage(tokenInfo && tokenInfo.total_token_usage),
+      modelContextWindow: tokenInfo && Number.isFinite(tokenInfo.model_context_window)
+        ? tokenInfo.model_context_window
+        : null,
+      contextUsedPercent: contextUsage ? Math.round(contextUsage.percent * 10) / 10 : null,
+    },
+    rateLimits: {
+      primary: describeRateWindow(rateLimits && rateLimits.primary, now),
+      secondary: describeRateWindow(rateLimits && rateLimits.secondary, now),
+    },
+    review: describeReview(detail.lastReview),
+  };
+}
+
+function buildJsonReport(status, now = Date.now()) {
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generatedAt: toIsoString(new Date(now)),
+    error: status.error || null,
+    sessions: (status.sessions || []).map((detail) => describeSession(detail, now)),
+  };
+}
+
+function tokenCountBuilder(usageKey, countKey, format = formatCompact) {
+  return ({ tokenInfo }) => {
+    const usage = tokenInfo ? tokenInfo[usageKey] : null;
+    if (usage && typeof usage[countKey] === 'number') {
+      return format(usage[countKey]);
     }
+    return null;
+  };
+}
+
+// How much of the model's context window the last turn's prompt filled.
+function resolveContextUsage(tokenInfo) {
+  if (!tokenInfo) return null;
+  const window = tokenInfo.model_context_window;
+  const lastUsage = tokenInfo.last_token_usage;
+  if (!Number.isFinite(window) || window <= 0) return null;
+  if (!lastUsage || typeof lastUsage.input_tokens !== 'number') return null;
+  const used = lastUsage.input_tokens;
+  return {
+    window,
+    used,
+    remaining: Math.max(0, window - used),
+    percent: (used / window) * 100,
+  };
+}
+
+function formatContextUsage(usage, warnThreshold, ascii = false, { withRemaining = true } = {}) {
+  if (!usage) return null;
+  const percent = `${Math.round(usage.percent)}%`;
+  const text = withRemaining ? `${percent}/${formatCompact(usage.remaining)}` : percent;
+  if (Number.isFinite(warnThreshold) && usage.percent >= warnThreshold) return `${text}${glyph('warning', ascii)}`;
+  return text;
+}
+
+function formatContextUsageFull(usage, warnThreshold, ascii = false) {
+  if (!usage) return null;
+  const text = `${usage.percent.toFixed(1)}% used (${formatCount(usage.used)} of ${formatCount(usage.window)} tokens, ${formatCount(usage.remaining)} left)`;
+  if (Number.isFinite(warnThreshold) && usage.percent >= warnThreshold) return `${text}${glyph('warning', ascii)}`;
+  return text;
+}
+
+// USD per 1M tokens. Models are matched exactly or by the longest entry that
+// prefixes a dated variant (gpt-5-codex-2025-09-15 -> gpt-5-codex). The config
+// file's "pricing" table is consulted first.
+const MODEL_PRICING = {
+  'gpt-5': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-codex': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-5-nano': { input: 0.05, cachedInput: 0.005, output: 0.4 },
+  'gpt-5.1': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5.1-codex': { input: 1.25, cachedInput: 0.125, output: 10 },
+  'gpt-5.1-codex-mini': { input: 0.25, cachedInput: 0.025, output: 2 },
+  'gpt-4.1': { input: 2, cachedInput: 0.5, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, cachedInput: 0.1, output: 1.6 },
+  o3: { input: 2, cachedInput: 0.5, output: 8 },
+  'o4-mini': { input: 1.1, cachedInput: 0.275, output: 4.4 },
+  'codex-mini-latest': { input: 1.5, cachedInput: 0.375, output: 6 },
+};
+
+function lookupPricingIn(table, model) {
+  if (!table) return null;
+  if (Object.prototype.hasOwnProperty.call(table, model)) return table[model];
+  let best = null;
+  for (const key of Object.keys(table)) {
+    if (model.startsWith(`${key}-`) && (!best || key.length > best.length)) best = key;
   }
+  return best ? table[best] : null;
+}
 
-  return { sessions: details };
+function resolveModelPricing(model, overrides = {}) {
+  if (typeof model !== 'string' || !model.trim()) return null;
+  const normalized = model.trim().toLowerCase();
+  return lookupPricingIn(overrides, normalized) || lookupPricingIn(MODEL_PRICING, normalized);
 }
 
-function formatRateWindow(windowData) {
-  if (!windowData) return 'n/a';
-  const used = windowData.used_percent != null ? `${windowData.used_percent}%` : 'n/a';
-  const nowMs = Date.now();
-  const resetSeconds = resolveResetSeconds(windowData, nowMs);
-  const reset = formatResetTarget(resetSeconds, nowMs);
-  return `${used}/${reset}`;
+function estimateTokenCost(usage, price) {
+  if (!usage || !price) return null;
+  const count = (key) => (typeof usage[key] === 'number' ? usage[key] : 0);
+  const input = count('input_tokens');
+  const cached = Math.min(count('cached_input_tokens'), input);
+  // Reasoning tokens are already included in output_tokens.
+  const output = count('output_tokens');
+  return (((input - cached) * price.input) + (cached * price.cachedInput) + (output * price.output)) / 1e6;
+}
+
+function formatUsd(value, digits = 2) {
+  if (!Number.isFinite(value)) return 'n/a';
+  const smallest = 10 ** -digits;
+  if (value > 0 && value < smallest) return `<$${smallest.toFixed(digits)}`;
+  return `$${value.toFixed(digits)}`;
 }
 
+// Session and last-turn cost, 'no price' for unknown models, or null without token counts.
+function estimateSessionCost({ tokenInfo, context, options }) {
+  if (!tokenInfo || (!tokenInfo.total_token_usage && !tokenInfo.last_token_usage)) return null;
+  const price = resolveModelPricing(context.model, options.pricing);
+  if (!price) return 'no price';
+  return {
+    session: estimateTokenCost(tokenInfo.total_token_usage, price),
+    lastTurn: estimateTokenCost(tokenInfo.last_token_usage, price),
+  };
+}
+
+function formatCacheHitRatio(usage, { full = false } = {}) {
+  if (!usage || typeof usage.input_tokens !== 'number' || usage.input_tokens <= 0) return null;
+  if (typeof usage.cached_input_tokens !== 'number') return null;
+  const ratio = (usage.cached_input_tokens / usage.input_tokens) * 100;
+  if (!full) return `${Math.round(ratio)}%`;
+  return `${ratio.toFixed(1)}% (${formatCount(usage.cached_input_tokens)} of ${formatCount(usage.input_tokens)} input tokens cached)`;
+}
+
+const ACTIVITY_GLYPHS = {
+  user: 'activityUser',
+  assistant: 'activityAssistant',
+  tool: 'activityTool',
+  thinking: 'activityThinking',
+  review: 'activityReview',
+};
+
 const FIELD_DEFINITIONS = {
   sound: {
     defaultLabel: '',
+    asciiLabel: '',
     build: ({ options }) => resolveSoundStatusIcon(options),
   },
+  notify: {
+    defaultLabel: '',
+    asciiLabel: '',
+    build: ({ options }) => resolveNotifyStatusIcon(options),
+  },
   time: {
     defaultLabel: '🕒',
+    asciiLabel: 'T:',
     build: ({ detail }) => formatAgoShort(detail.log.mtime),
+    full: ({ detail }) => (detail.log.mtime
+      ? `${formatLocalTimestamp(detail.log.mtime)} (${formatAgoShort(detail.log.mtime)})`
+      : null),
   },
   error: {
     defaultLabel: '❌',
+    asciiLabel: 'ERR:',
     build: ({ detail }) => detail.error || null,
   },
   model: {
     defaultLabel: '🤖',
+    asciiLabel: 'M:',
     build: ({ context }) => {
       if (typeof context.model === 'string' && context.model) {
         return stripModelPrefix(context.model);
       }
       return null;
     },
+    full: ({ context }) => context.model || null,
   },
   approval: {
     defaultLabel: '🛂',
+    asciiLabel: 'A:',
     build: ({ context, minimal }) => {
       if (minimal) return null;
       if (context.approval_policy) return context.approval_policy;
@@ -900,37 +3029,68 @@ const FIELD_DEFINITIONS = {
   },
   sandbox: {
     defaultLabel: '🧪',
-    build: ({ context, minimal }) => {
+    asciiLabel: 'S:',
+    build: ({ context, minimal, options }) => {
       if (minimal) return null;
       const policy = context.sandbox_policy;
       if (policy && policy.mode) {
         let label = policy.mode;
-        if (policy.network_access === false) label += '🚫';
+        if (policy.network_access === false) label += glyph('noNetwork', options.ascii);
         return label;
       }
       return null;
     },
+    full: ({ context }) => {
+      const policy = context.sandbox_policy;
+      if (!policy || !policy.mode) return null;
+      if (policy.network_access === false) return `${policy.mode}, no network access`;
+      if (policy.network_access === true) return `${policy.mode}, network access`;
+      return policy.mode;
+    },
   },
   daily: {
     defaultLabel: '🕔',
+    asciiLabel: 'D:',
     build: ({ rateLimits }) => {
       if (rateLimits && rateLimits.primary) {
         return formatRateWindow(rateLimits.primary);
       }
       return null;
     },
+    full: ({ rateLimits }) => formatRateWindowFull(rateLimits && rateLimits.primary),
+    shorten: ({ rateLimits }) => [formatRateUsed(rateLimits && rateLimits.primary)],
   },
   weekly: {
     defaultLabel: '🗓',
+    asciiLabel: 'W:',
     build: ({ rateLimits }) => {
       if (rateLimits && rateLimits.secondary) {
         return formatRateWindow(rateLimits.secondary);
       }
       return null;
     },
+    full: ({ rateLimits }) => formatRateWindowFull(rateLimits && rateLimits.secondary),
+    shorten: ({ rateLimits }) => [formatRateUsed(rateLimits && rateLimits.secondary)],
+  },
+  forecast: {
+    defaultLabel: '⏳',
+    asciiLabel: 'eta:',
+    build: ({ rateLimits, options }) => {
+      const forecasts = forecastRateLimits(rateLimits, options.rateHistory);
+      if (!forecasts) return null;
+      return forecasts.map(({ forecast }) => formatRateForecast(forecast, options.ascii)).join('/');
+    },
+    full: ({ rateLimits, options }) => {
+      const forecasts = forecastRateLimits(rateLimits, options.rateHistory);
+      if (!forecasts) return null;
+      return forecasts
+        .map(({ key, forecast }) => `${key === 'primary' ? 'daily' : 'weekly'} ${describeRateForecast(forecast)}`)
+        .join('; ');
+    },
   },
   recent: {
     defaultLabel: '🔄',
+    asciiLabel: 'tok:',
     build: ({ tokenInfo }) => {
       if (tokenInfo && tokenInfo.last_token_usage && typeof tokenInfo.last_token_usage.total_tokens === 'number') {
         return formatCompact(tokenInfo.last_token_usage.total_tokens);
@@ -938,36 +3098,118 @@ const FIELD_DEFINITIONS = {
       if (!tokenInfo) return 'n/a';
       return null;
     },
+    full: tokenCountBuilder('last_token_usage', 'total_tokens', formatCount),
   },
   total: {
     defaultLabel: '📦',
+    asciiLabel: 'tot:',
     build: ({ tokenInfo }) => {
       if (tokenInfo && tokenInfo.total_token_usage && typeof tokenInfo.total_token_usage.total_tokens === 'number') {
         return formatCompact(tokenInfo.total_token_usage.total_tokens);
       }
       return null;
     },
+    full: tokenCountBuilder('total_token_usage', 'total_tokens', formatCount),
+  },
+  context: {
+    defaultLabel: '🧠',
+    asciiLabel: 'ctx:',
+    build: ({ tokenInfo, options }) => formatContextUsage(resolveContextUsage(tokenInfo), options.contextWarn, options.ascii),
+    full: ({ tokenInfo, options }) => formatContextUsageFull(resolveContextUsage(tokenInfo), options.contextWarn, options.ascii),
+    shorten: ({ tokenInfo, options }) => [
+      formatContextUsage(resolveContextUsage(tokenInfo), options.contextWarn, options.ascii, { withRemaining: false }),
+    ],
+  },
+  'recent-input': {
+    defaultLabel: '📥',
+    asciiLabel: 'in:',
+    build: tokenCountBuilder('last_token_usage', 'input_tokens'),
+    full: tokenCountBuilder('last_token_usage', 'input_tokens', formatCount),
+  },
+  'recent-cached': {
+    defaultLabel: '💾',
+    asciiLabel: 'cached:',
+    build: tokenCountBuilder('last_token_usage', 'cached_input_tokens'),
+    full: tokenCountBuilder('last_token_usage', 'cached_input_tokens', formatCount),
+  },
+  'recent-output': {
+    defaultLabel: '📤',
+    asciiLabel: 'out:',
+    build: tokenCountBuilder('last_token_usage', 'output_tokens'),
+    full: tokenCountBuilder('last_token_usage', 'output_tokens', formatCount),
+  },
+  'recent-reasoning': {
+    defaultLabel: '💡',
+    asciiLabel: 'rsn:',
+    build: tokenCountBuilder('last_token_usage', 'reasoning_output_tokens'),
+    full: tokenCountBuilder('last_token_usage', 'reasoning_output_tokens', formatCount),
+  },
+  'total-input': {
+    defaultLabel: 'Σ📥',
+    asciiLabel: 'tot-in:',
+    build: tokenCountBuilder('total_token_usage', 'input_tokens'),
+    full: tokenCountBuilder('total_token_usage', 'input_tokens', formatCount),
+  },
+  'total-cached': {
+    defaultLabel: 'Σ💾',
+    asciiLabel: 'tot-cached:',
+    build: tokenCountBuilder('total_token_usage', 'cached_input_tokens'),
+    full: tokenCountBuilder('total_token_usage', 'cached_input_tokens', formatCount),
+  },
+  'total-output': {
+    defaultLabel: 'Σ📤',
+    asciiLabel: 'tot-out:',
+    build: tokenCountBuilder('total_token_usage', 'output_tokens'),
+    full: tokenCountBuilder('total_token_usage', 'output_tokens', formatCount),
+  },
+  'total-reasoning': {
+    defaultLabel: 'Σ💡',
+    asciiLabel: 'tot-rsn:',
+    build: tokenCountBuilder('total_token_usage', 'reasoning_output_tokens'),
+    full: tokenCountBuilder('total_token_usage', 'reasoning_output_tokens', formatCount),
+  },
+  'cache-hit': {
+    defaultLabel: '🎯',
+    asciiLabel: 'hit:',
+    // Share of the session's input tokens served from the prompt cache.
+    build: ({ tokenInfo }) => formatCacheHitRatio(tokenInfo && tokenInfo.total_token_usage),
+    full: ({ tokenInfo }) => formatCacheHitRatio(tokenInfo && tokenInfo.total_token_usage, { full: true }),
+  },
+  cost: {
+    defaultLabel: '💵',
+    asciiLabel: 'cost:',
+    build: (fieldContext) => {
+      const cost = estimateSessionCost(fieldContext);
+      if (!cost || typeof cost === 'string') return cost;
+      return `${formatUsd(cost.session)}/${formatUsd(cost.lastTurn)}`;
+    },
+    full: (fieldContext) => {
+      const cost = estimateSessionCost(fieldContext);
+      if (!cost || typeof cost === 'string') return cost;
+      return `${formatUsd(cost.session, 4)} session, ${formatUsd(cost.lastTurn, 4)} last turn`;
+    },
+  },
+  review: {
+    defaultLabel: '🔎',
+    asciiLabel: 'rev:',
+    build: ({ detail, minimal, options }) => formatReviewStatus(detail.lastReview, { minimal, ascii: options.ascii }),
+    full: ({ detail, options }) => describeReviewStatus(detail.lastReview, options.ascii),
+    shorten: ({ detail, options }) => [formatReviewStatus(detail.lastReview, { minimal: true, ascii: options.ascii })],
   },
   activity: {
     defaultLabel: '💭',
-    build: ({ detail, minimal }) => {
+    asciiLabel: '',
+    build: ({ detail, minimal, options }) => {
       if (minimal) return null;
       const activity = detail.lastActivity;
       if (!activity) return null;
-      
-      const activityMap = {
-        user: '👤',
-        assistant: '⁉️',
-        tool: '🔧',
-        thinking: '🤔',
-        review: '📝',
-      };
-
-      return activityMap[activity] || activity;
+      return ACTIVITY_GLYPHS[activity] ? glyph(ACTIVITY_GLYPHS[activity], options.ascii) : activity;
     },
+    full: ({ detail }) => detail.lastActivity || null,
   },
   directory: {
     defaultLabel: '📁',
+    asciiLabel: 'dir:',
     build: ({ context, minimal }) => {
       if (minimal) return null;
       if (context.cwd) {
@@ -976,85 +3218,893 @@ const FIELD_DEFINITIONS = {
       }
       return null;
     },
+    full: ({ context }) => context.cwd || null,
+    shorten: ({ context, options }) => (context.cwd ? elidePath(trimPath(context.cwd), options.ascii) : []),
   },
 };
 
-function resolveSoundStatusIcon(options) {
-  if (!options || !options.showSoundStatus) return null;
-  if (!options.sound || options.sound === 'off') return null;
-  const muted = Boolean(options.soundMuted);
-  if (muted) return '🔇';
-  return '🔊';
+function resolveSoundStatusIcon(options) {
+  if (!options || !options.showSoundStatus) return null;
+  if (!options.sound || options.sound === 'off') return null;
+  const muted = Boolean(options.soundMuted);
+  if (muted) return glyph('soundMuted', options.ascii);
+  return glyph('soundOn', options.ascii);
+}
+
+function resolveNotifyStatusIcon(options) {
+  if (!options || !options.showNotifyStatus) return null;
+  if (!options.notify || options.notify === 'off') return null;
+  return glyph(options.notifyMuted ? 'notifyMuted' : 'notifyOn', options.ascii);
+}
+
+// Decides which new activities deserve an alert under the all / some /
+// assistant modes shared by sound and notifications.
+function createActivityGate(mode) {
+  let counter = 0;
+  return (activity) => {
+    if (mode === 'assistant') return activity === 'assistant';
+    if (mode === 'all') return activity !== 'user';
+    if (mode !== 'some' || activity === 'user') return false;
+    // Assistant messages always pass; other activity every 2nd or 3rd time
+    if (activity === 'assistant') return true;
+    counter += 1;
+    return counter % 2 === 0 || counter % 3 === 0;
+  };
+}
+
+function nextReverbSetting(current) {
+  const idx = SOUND_REVERB_SEQUENCE.indexOf(current || 'default');
+  const nextIdx = (idx + 1) % SOUND_REVERB_SEQUENCE.length;
+  return SOUND_REVERB_SEQUENCE[nextIdx];
+}
+
+function resolveFormatOrder(options = {}) {
+  const orderSource = Array.isArray(options.formatOrder) && options.formatOrder.length > 0
+    ? options.formatOrder
+    : DEFAULT_FORMAT_ORDER;
+  const order = [];
+  for (const entry of orderSource) {
+    const key = normalizeFieldKey(entry);
+    if (key && !order.includes(key)) order.push(key);
+  }
+  return order;
+}
+
+// The first of LC_ALL, LC_CTYPE and LANG that is set decides, as in setlocale().
+// Without any of them the terminal is assumed to cope with emoji.
+function localeSupportsUtf8(env = process.env) {
+  const locale = env.LC_ALL || env.LC_CTYPE || env.LANG;
+  if (!locale) return true;
+  return /utf-?8/i.test(locale);
+}
+
+const ERROR_COLOR_STYLE = 'red';
+const FLASH_COLOR_STYLE = 'inverse';
+
+// Returns the colours for this run, or null when output should stay plain.
+// tmux has its own styling (--tmux-style), so it never gets ANSI colours.
+function resolvePalette(options, stream, env = process.env) {
+  if (options.tmux || !shouldUseColor(options.color, stream, env)) return null;
+  const theme = COLOR_THEMES[options.theme] || COLOR_THEMES.default;
+  const styles = options.colorStyles || {};
+  return {
+    fields: { ...theme.fields, ...styles },
+    activity: theme.activity,
+    warn: styles.warn || theme.warn,
+    critical: styles.critical || theme.critical,
+    thresholds: { ...DEFAULT_COLOR_THRESHOLDS, ...(options.colorThresholds || {}) },
+  };
+}
+
+function resolveFieldColor(key, detail, palette) {
+  if (key === 'error') return ERROR_COLOR_STYLE;
+  const thresholds = palette.thresholds[key];
+  const reading = thresholds ? readAlertValue(key, detail, Date.now()) : null;
+  if (reading && reading.value >= thresholds.critical) return palette.critical;
+  if (reading && reading.value >= thresholds.warn) return palette.warn;
+  if (key === 'activity' && palette.activity[detail.lastActivity]) return palette.activity[detail.lastActivity];
+  return palette.fields[key] || null;
+}
+
+function fieldLabel(key, options = {}) {
+  const labelOverrides = options.labelOverrides || {};
+  if (Object.prototype.hasOwnProperty.call(labelOverrides, key)) return labelOverrides[key];
+  const definition = FIELD_DEFINITIONS[key];
+  return options.ascii ? definition.asciiLabel : definition.defaultLabel;
+}
+
+function noDataText(what, options = {}) {
+  return `${glyph('noData', options.ascii)} no ${what}`;
+}
+
+function collectSessionFields(detail, options = {}) {
+  const minimal = Boolean(options.minimal);
+  const order = resolveFormatOrder(options);
+
+  const context = detail.lastContext || {};
+  const tokenCount = detail.lastTokenCount || null;
+  const tokenInfo = tokenCount ? tokenCount.info || null : null;
+  const rateLimits = tokenCount ? tokenCount.rate_limits || null : null;
+
+  const fieldContext = {
+    detail,
+    minimal,
+    context,
+    tokenInfo,
+    rateLimits,
+    options,
+  };
+
+  const fields = [];
+  for (const key of order) {
+    const definition = FIELD_DEFINITIONS[key];
+    if (!definition) continue;
+    const value = definition.build(fieldContext);
+    if (value == null || value === '') continue;
+    const label = fieldLabel(key, options);
+    const flashing = Boolean(options.flashFields && options.flashFields.has(key));
+    const flash = flashing ? glyph('flash', options.ascii) : '';
+    const color = options.palette ? resolveFieldColor(key, detail, options.palette) : null;
+    const render = (shown) => {
+      const text = label && String(label).length > 0 ? `${flash}${label}${shown}` : `${flash}${shown}`;
+      if (!options.palette) return text;
+      return colorize(text, flashing ? [color, FLASH_COLOR_STYLE].filter(Boolean).join(' ') : color);
+    };
+    const field = { key, text: render(value) };
+    if (definition.shorten) {
+      // Shorter renderings, longest first, for layouts that run out of room
+      field.shorter = definition.shorten(fieldContext)
+        .filter((shown) => shown && shown !== value)
+        .map(render);
+    }
+    fields.push(field);
+  }
+  return fields;
+}
+
+// The sound and notification indicators and alert flashes describe the watcher rather than a
+// session, so only the first row carries them.
+function rowOptionsFor(options, index) {
+  return index === 0
+    ? options
+    : { ...options, showSoundStatus: false, showNotifyStatus: false, flashFields: null };
+}
+
+// When columnWidths (a Map of field key -> display width) is given, every
+// column is padded so rows rendered with the same widths line up.
+function formatSessionSummary(detail, options = {}, columnWidths = null) {
+  const fields = collectSessionFields(detail, options);
+
+  if (columnWidths && fields.length) {
+    const byKey = new Map(fields.map((field) => [field.key, field.text]));
+    const cells = [];
+    for (const [key, width] of columnWidths) {
+      cells.push(padToWidth(byKey.get(key) || '', width));
+    }
+    return cells.join(' ').trimEnd();
+  }
+
+  if (!fields.length) {
+    return noDataText('status', options);
+  }
+
+  return fields.map((field) => field.text).join(' ');
+}
+
+// Session ids are UUIDv7: the leading digits are a timestamp shared by
+// sessions started close together, so the tag uses the random tail.
+function formatSessionTag(detail, index) {
+  const shortId = sessionIdFromPath(detail.log && detail.log.path);
+  return shortId ? `#${index + 1} ${shortId.slice(-8)}` : `#${index + 1}`;
+}
+
+function buildReportLines(status, options = {}) {
+  if (status.error) return [options.palette ? colorize(status.error, ERROR_COLOR_STYLE) : status.error];
+  const details = status.sessions || [];
+  if (!details.length) return [noDataText('sessions', options)];
+  if (details.length === 1) return [formatSessionSummary(details[0], options)];
+
+  const rows = details.map((detail, index) => {
+    const rowOptions = rowOptionsFor(options, index);
+    return {
+      detail,
+      rowOptions,
+      tag: formatSessionTag(detail, index),
+      fields: collectSessionFields(detail, rowOptions),
+    };
+  });
+
+  const columnWidths = measureColumns(rows, resolveFormatOrder(options));
+  const tagWidth = Math.max(...rows.map((row) => displayWidth(row.tag)));
+
+  return rows.map((row) => {
+    const summary = formatSessionSummary(row.detail, row.rowOptions, columnWidths) || noDataText('status', options);
+    return `${padToWidth(row.tag, tagWidth)} ${summary}`;
+  });
+}
+
+function measureColumns(rows, order) {
+  const columnWidths = new Map();
+  for (const key of order) {
+    let width = 0;
+    for (const row of rows) {
+      const field = row.fields.find((entry) => entry.key === key);
+      if (field) width = Math.max(width, displayWidth(field.text));
+    }
+    if (width > 0) columnWidths.set(key, width);
+  }
+  return columnWidths;
+}
+
+function totalColumnWidth(columnWidths) {
+  let total = Math.max(0, columnWidths.size - 1);
+  for (const width of columnWidths.values()) total += width;
+  return total;
+}
+
+function resolveDropOrder(options = {}) {
+  return Array.from(new Set([...(options.dropOrder || []), ...DEFAULT_DROP_ORDER, ...CANONICAL_FIELDS]));
+}
+
+// Works through the drop order a column at a time: each column first steps
+// through its shorter renderings in every row, and is dropped from every row
+// only if the widest row still does not fit. Rows keep their alignment, and
+// the last column standing is never dropped.
+function fitColumns(rows, order, budget, dropOrder) {
+  const fits = () => totalColumnWidth(measureColumns(rows, order)) <= budget;
+  for (const key of dropOrder) {
+    if (fits()) return;
+    const cells = rows.map((row) => row.fields.find((field) => field.key === key)).filter(Boolean);
+    if (!cells.length) continue;
+    while (!fits() && cells.some((cell) => cell.shorter && cell.shorter.length)) {
+      for (const cell of cells) {
+        if (cell.shorter && cell.shorter.length) cell.text = cell.shorter.shift();
+      }
+    }
+    const columnsLeft = new Set(rows.flatMap((row) => row.fields.map((field) => field.key)));
+    if (!fits() && columnsLeft.size > 1) {
+      for (const row of rows) row.fields = row.fields.filter((field) => field.key !== key);
+    }
+  }
+}
+
+// Packs whole fields into lines of at most budget columns. A field is only
+// cut when it does not fit on a line of its own even at its shortest.
+function wrapFields(fields, budget) {
+  const lines = [];
+  let line = [];
+  let width = 0;
+  for (const field of fields) {
+    let text = field.text;
+    const shorter = field.shorter ? [...field.shorter] : [];
+    while (displayWidth(text) > budget && shorter.length) text = shorter.shift();
+    if (displayWidth(text) > budget) text = truncateToTerminal(text, budget);
+    if (!text.trim()) continue;
+    const textWidth = displayWidth(text);
+    if (line.length && width + 1 + textWidth > budget) {
+      lines.push(line.join(' ').trimEnd());
+      line = [];
+      width = 0;
+    }
+    width += (line.length ? 1 : 0) + textWidth;
+    line.push(text);
+  }
+  if (line.length) lines.push(line.join(' ').trimEnd());
+  return lines;
+}
+
+// Row tags give way before the fields do: on a terminal too narrow to leave
+// this many columns beside the full tag, rows are tagged by index alone, and
+// below that not at all.
+const MIN_TAGGED_ROW_COLUMNS = 8;
+
+function shrinkSessionTags(rows, columns) {
+  const widest = () => Math.max(...rows.map((row) => displayWidth(row.tag)));
+  if (columns - widest() - 1 >= MIN_TAGGED_ROW_COLUMNS) return widest();
+  rows.forEach((row, index) => {
+    row.tag = `#${index + 1}`;
+  });
+  if (columns - widest() - 1 >= MIN_TAGGED_ROW_COLUMNS) return widest();
+  rows.forEach((row) => {
+    row.tag = '';
+  });
+  return 0;
+}
+
+function layoutReportLines(status, options, columns) {
+  const details = status.sessions || [];
+  if (status.error || !details.length) {
+    return buildReportLines(status, options).map((line) => truncateToTerminal(line, columns));
+  }
+  const order = resolveFormatOrder(options);
+  const tagged = details.length > 1;
+  const rows = details.map((detail, index) => ({
+    tag: tagged ? formatSessionTag(detail, index) : '',
+    fields: collectSessionFields(detail, rowOptionsFor(options, index)),
+  }));
+  const tagWidth = tagged ? shrinkSessionTags(rows, columns) : 0;
+  const indent = tagWidth ? ' '.repeat(tagWidth + 1) : '';
+  const budget = Math.max(1, columns - indent.length);
+  if (options.layout === 'fit') fitColumns(rows, order, budget, resolveDropOrder(options));
+  const columnWidths = measureColumns(rows, order);
+
+  const lines = [];
+  for (const row of rows) {
+    const prefix = tagWidth ? `${padToWidth(row.tag, tagWidth)} ` : '';
+    if (!row.fields.length) {
+      lines.push(truncateToTerminal(`${prefix}${noDataText('status', options)}`, columns));
+      continue;
+    }
+    const byKey = new Map(row.fields.map((field) => [field.key, field]));
+    if (options.layout === 'wrap') {
+      const cells = [];
+      for (const [key, width] of columnWidths) {
+        const field = byKey.get(key);
+        if (field) cells.push({ ...field, text: tagged ? padToWidth(field.text, width) : field.text });
+      }
+      const wrapped = wrapFields(cells, budget);
+      if (!wrapped.length) wrapped.push(truncateToTerminal(noDataText('status', options), budget));
+      wrapped.forEach((text, index) => lines.push(`${index === 0 ? prefix : indent}${text}`));
+    } else {
+      const cells = [];
+      for (const [key, width] of columnWidths) {
+        const field = byKey.get(key);
+        cells.push(tagged ? padToWidth(field ? field.text : '', width) : (field ? field.text : ''));
+      }
+      // Only reached past the budget when a single field is too wide on its own
+      lines.push(truncateToTerminal(`${prefix}${cells.filter((cell) => cell !== '').join(' ').trimEnd()}`, columns));
+    }
+  }
+  return lines;
+}
+
+function escapeTmux(text) {
+  return String(text).replace(/#/g, '##');
 }
 
-function nextReverbSetting(current) {
-  const idx = SOUND_REVERB_SEQUENCE.indexOf(current || 'default');
-  const nextIdx = (idx + 1) % SOUND_REVERB_SEQUENCE.length;
-  return SOUND_REVERB_SEQUENCE[nextIdx];
+function formatTmuxLine(status, options = {}) {
+  const styles = options.tmuxStyles || {};
+  const budget = Number.isInteger(options.tmuxWidth) && options.tmuxWidth > 0 ? options.tmuxWidth : null;
+
+  let pieces;
+  if (status.error) {
+    pieces = [{ key: 'error', text: status.error }];
+  } else if (!status.sessions || !status.sessions.length) {
+    pieces = [{ key: null, text: noDataText('sessions', options) }];
+  } else {
+    pieces = [];
+    status.sessions.forEach((detail, index) => {
+      const fields = collectSessionFields(detail, rowOptionsFor(options, index));
+      if (index > 0) pieces.push({ key: null, text: '|' });
+      pieces.push(...(fields.length ? fields : [{ key: null, text: noDataText('status', options) }]));
+    });
+  }
+
+  const segments = [];
+  let width = 0;
+  for (const piece of pieces) {
+    const gap = segments.length ? 1 : 0;
+    let text = piece.text.replace(/\s*[\r\n]+\s*/g, ' ');
+    if (budget !== null) {
+      const remaining = budget - width - gap;
+      if (remaining <= 0) break;
+      text = truncateToTerminal(text, remaining, tmuxCodePointWidth);
+      if (!text) break;
+    }
+    width += gap + displayWidth(text, tmuxCodePointWidth);
+    const style = piece.key ? styles[piece.key] : null;
+    segments.push(style ? `#[${style}]${escapeTmux(text)}#[default]` : escapeTmux(text));
+  }
+  return segments.join(' ');
 }
 
-function formatSessionSummary(detail, options = {}) {
-  const minimal = Boolean(options.minimal);
-  const labelOverrides = options.labelOverrides || {};
-  const orderSource = Array.isArray(options.formatOrder) && options.formatOrder.length > 0
-    ? options.formatOrder
-    : DEFAULT_FORMAT_ORDER;
-  const order = [];
-  for (const entry of orderSource) {
-    const key = normalizeFieldKey(entry);
-    if (key && !order.includes(key)) order.push(key);
+function renderReport(status, options, columns) {
+  const tagged = !status.error && status.sessions && status.sessions.length > 1;
+  if (columns && (tagged || options.layout === 'fit' || options.layout === 'wrap')) {
+    return layoutReportLines(status, options, columns).join('\n');
   }
+  return buildReportLines(status, options)
+    .map((line) => truncateToTerminal(line, columns))
+    .join('\n');
+}
+
+const PICKER_SESSION_COUNT = 10;
 
+function pickerHint(expanded, ascii = false) {
+  const parts = expanded
+    ? [`${glyph('arrows', ascii)} or j/k switch session`, 'Esc back to list', 'a follow newest']
+    : [`${glyph('arrows', ascii)} or j/k select`, 'Enter details', 'a or Esc follow newest'];
+  return parts.join(glyph('separator', ascii));
+}
+
+// The detail panel lists every session field on its own line, using a
+// field's full() builder where its status-line value is abbreviated
+// (approval and error are never shortened, so they have none).
+function buildSessionDetailLines(detail, options = {}) {
   const context = detail.lastContext || {};
   const tokenCount = detail.lastTokenCount || null;
-  const tokenInfo = tokenCount ? tokenCount.info || null : null;
-  const rateLimits = tokenCount ? tokenCount.rate_limits || null : null;
-
   const fieldContext = {
     detail,
-    minimal,
+    minimal: false,
     context,
-    tokenInfo,
-    rateLimits,
+    tokenInfo: tokenCount ? tokenCount.info || null : null,
+    rateLimits: tokenCount ? tokenCount.rate_limits || null : null,
     options,
   };
-
-  const pieces = [];
-  for (const key of order) {
+  const rows = [
+    ['session', sessionIdFromPath(detail.log && detail.log.path)],
+    ['log', detail.log && detail.log.path],
+  ];
+  for (const key of CANONICAL_FIELDS) {
     const definition = FIELD_DEFINITIONS[key];
-    if (!definition) continue;
-    const value = definition.build(fieldContext);
+    if (!definition || key === 'sound' || key === 'notify') continue;
+    const value = (definition.full || definition.build)(fieldContext);
     if (value == null || value === '') continue;
-    const override = Object.prototype.hasOwnProperty.call(labelOverrides, key)
-      ? labelOverrides[key]
-      : undefined;
-    const label = override !== undefined ? override : definition.defaultLabel;
-    if (label && String(label).length > 0) {
-      pieces.push(`${label}${value}`);
-    } else {
-      pieces.push(String(value));
-    }
+    rows.push([key, `${fieldLabel(key, options) || ''}${value}`]);
   }
-
-  if (!pieces.length) {
-    return '⚡ no status';
+  const present = rows.filter(([, value]) => value);
+  const width = Math.max(...present.map(([key]) => key.length));
+  const lines = present.map(([key, value]) => `${padToWidth(key, width)}  ${value}`);
+  if (detail.lastAssistantMessage) {
+    lines.push('', 'Last reply:', ...detail.lastAssistantMessage.split('\n').map((line) => `  ${line}`.trimEnd()));
   }
+  return lines;
+}
 
-  return pieces.join(' ');
+function pickerIndex(details, selectedPath) {
+  const index = details.findIndex((detail) => detail.log && detail.log.path === selectedPath);
+  return index === -1 ? 0 : index;
 }
 
-function buildReport(status, options = {}) {
-  if (status.error) return status.error;
-  const detail = status.sessions[0];
-  if (!detail) return '⚡ no sessions';
-  return formatSessionSummary(detail, options);
+// The list rows are cut to the terminal like the normal view; the detail
+// panel is left whole so long paths and messages wrap instead.
+function renderPicker(status, picker, options, columns) {
+  const details = status.sessions || [];
+  if (status.error || !details.length) return renderReport(status, options, columns);
+  const index = pickerIndex(details, picker.selectedPath);
+  if (picker.expanded) {
+    return [...buildSessionDetailLines(details[index], options), '', pickerHint(true, options.ascii)].join('\n');
+  }
+  const rows = buildReportLines(status, options)
+    .map((line, row) => truncateToTerminal(`${row === index ? glyph('selected', options.ascii) : ' '} ${line}`, columns));
+  return [...rows, '', truncateToTerminal(pickerHint(false, options.ascii), columns)].join('\n');
 }
 
 async function runOnce(options, stdout) {
-  const status = await gatherStatuses(path.resolve(options.baseDir), options.limit);
+  const status = await gatherStatuses(path.resolve(options.baseDir), options.limit, {
+    filter: buildSessionFilter(options),
+  });
+  if (options.json) {
+    stdout.write(`${JSON.stringify(buildJsonReport(status))}\n`);
+    return;
+  }
+  if (options.tmux) {
+    stdout.write(`${formatTmuxLine(status, options)}\n`);
+    return;
+  }
   console.clear();
   const columns = stdout && Number.isInteger(stdout.columns) ? stdout.columns : null;
-  stdout.write(`${truncateToTerminal(buildReport(status, options), columns)}\n`);
+  stdout.write(`${renderReport(status, options, columns)}\n`);
+}
+
+const CACHE_REFRESH_LOCK_MS = 30 * 1000;
+
+// Returns true when this process may start a refresh. The lock keeps a burst
+// of prompts from each spawning their own background refresh.
+function acquireRefreshLock(lockPath, now = Date.now()) {
+  try {
+    fs.mkdirSync(path.dirname(lockPath), { recursive: true });
+    fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+    return true;
+  } catch (err) {
+    if (err.code !== 'EEXIST') return false;
+  }
+  try {
+    const stats = fs.statSync(lockPath);
+    if (now - stats.mtimeMs < CACHE_REFRESH_LOCK_MS) return false;
+    fs.writeFileSync(lockPath, String(process.pid));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+function spawnCacheRefresh(options, deps = {}) {
+  const spawnFn = deps.spawn || spawn;
+  const script = path.join(__dirname, '..', 'bin', 'codex-status.js');
+  const child = spawnFn(process.execPath, [
+    script,
+    '--refresh-cache',
+    '--no-config',
+    '--base',
+    path.resolve(options.baseDir),
+    '--cache-file',
+    options.cacheFile,
+    ...sessionFilterArgs(options),
+  ], { detached: true, stdio: 'ignore' });
+  if (child && typeof child.on === 'function') child.on('error', () => {});
+  if (child && typeof child.unref === 'function') child.unref();
+}
+
+async function runRefreshCache(options) {
+  const baseDir = path.resolve(options.baseDir);
+  const cacheFile = resolveCacheFile(options);
+  try {
+    const status = await gatherStatuses(baseDir, options.limit, { filter: buildSessionFilter(options) });
+    await writeStatusCache(cacheFile, baseDir, status);
+  } finally {
+    try {
+      fs.unlinkSync(`${cacheFile}.lock`);
+    } catch (err) {
+      // lock already gone
+    }
+  }
+}
+
+// Prompt mode never walks the sessions tree itself: it prints from the cache
+// and, when the cache is stale, leaves the refresh to a detached child so the
+// prompt is never held up by large logs.
+async function runPrompt(options, stdout, deps = {}) {
+  const now = (deps.now || Date.now)();
+  const baseDir = path.resolve(options.baseDir);
+  const cacheFile = resolveCacheFile(options);
+  const cached = readStatusCache(cacheFile);
+  const fresh = Boolean(cached)
+    && cached.baseDir === baseDir
+    && now - cached.writtenAt <= options.promptMaxAge * 1000;
+
+  if (!fresh && acquireRefreshLock(`${cacheFile}.lock`, now)) {
+    spawnCacheRefresh(options, deps);
+  }
+
+  const detail = fresh && cached.status.sessions ? cached.status.sessions[0] : null;
+  if (!detail) {
+    stdout.write(`${options.promptFallback}\n`);
+    return;
+  }
+  const promptOptions = {
+    ...options,
+    formatOrder: options.formatOrder || PROMPT_FORMAT_ORDER,
+  };
+  stdout.write(`${formatSessionSummary(detail, promptOptions)}\n`);
+}
+
+function localDayKey(date) {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function reportGroupKey(session, group) {
+  if (group === 'model') return session.model || 'unknown';
+  if (group === 'cwd') return session.cwd || 'unknown';
+  return localDayKey(session.startedAt);
+}
+
+// Sessions are attributed to the day (and model/cwd) they started in, so a
+// session running past midnight counts once, towards its first day.
+async function buildUsageReport(
+  baseDir,
+  { since = null, until = null, group = 'day', filter = null } = {},
+  { reader = readLog } = {},
+) {
+  const logs = await findSessionLogs(baseDir, null, { since, until });
+  const rows = new Map();
+  const totals = { sessions: 0, turns: 0, tokens: 0, seconds: 0 };
+  const readMeta = filter && hasMetaFilter(filter) ? createSessionMetaReader() : null;
+  let skipped = 0;
+
+  for (const log of logs) {
+    // A session cannot have started after its log was last written to.
+    if (since !== null && log.mtime.getTime() < since) continue;
+    let info;
+    try {
+      // The filter only reads the log's tail, so logs it rules out are never parsed
+      if (readMeta && !matchesSessionFilter(await readMeta(log.path), filter)) continue;
+      info = await reader(log.path);
+    } catch (err) {
+      // Unreadable, or rotated away since the directory was listed
+      skipped += 1;
+      continue;
+    }
+    const startedAt = info.firstTimestamp || log.mtime;
+    const startMs = startedAt.getTime();
+    if (since !== null && startMs < since) continue;
+    if (until !== null && startMs > until) continue;
+
+    const context = info.lastContext || {};
+    const tokenInfo = info.lastTokenCount ? info.lastTokenCount.info || null : null;
+    const usage = tokenInfo ? tokenInfo.total_token_usage : null;
+    const endedAt = info.lastTimestamp || startedAt;
+    const key = reportGroupKey({ startedAt, model: context.model, cwd: context.cwd }, group);
+
+    let row = rows.get(key);
+    if (!row) {
+      row = { key, sessions: 0, turns: 0, tokens: 0, seconds: 0 };
+      rows.set(key, row);
+    }
+    const tokens = usage && typeof usage.total_tokens === 'number' ? usage.total_tokens : 0;
+    const seconds = Math.max(0, Math.round((endedAt.getTime() - startMs) / 1000));
+    for (const target of [row, totals]) {
+      target.sessions += 1;
+      target.turns += info.turnCount || 0;
+      target.tokens += tokens;
+      target.seconds += seconds;
+    }
+  }
+
+  const sorted = Array.from(rows.values());
+  if (group === 'day') {
+    sorted.sort((a, b) => a.key.localeCompare(b.key));
+  } else {
+    sorted.sort((a, b) => b.tokens - a.tokens || a.key.localeCompare(b.key));
+  }
+  return { group, since, until, rows: sorted, totals, skipped };
+}
+
+const REPORT_GROUP_HEADERS = { day: 'Day', model: 'Model', cwd: 'Directory' };
+
+function formatUsageTable(report) {
+  if (!report.rows.length) {
+    return ['No sessions found in the selected range.'];
+  }
+  const header = [REPORT_GROUP_HEADERS[report.group], 'Sessions', 'Turns', 'Tokens', 'Time'];
+  const toCells = (label, row) => [
+    label,
+    String(row.sessions),
+    String(row.turns),
+    formatCompact(row.tokens),
+    formatDuration(row.seconds),
+  ];
+  const body = report.rows.map((row) => toCells(report.group === 'cwd' ? trimPath(row.key) : row.key, row));
+  const table = [header, ...body, toCells('Total', report.totals)];
+  const widths = header.map((_, column) => Math.max(...table.map((cells) => displayWidth(cells[column]))));
+  const renderRow = (cells) => cells
+    .map((cell, column) => (column === 0
+      ? padToWidth(cell, widths[column])
+      : `${' '.repeat(widths[column] - displayWidth(cell))}${cell}`))
+    .join('  ')
+    .trimEnd();
+  const lines = table.map(renderRow);
+  const rule = '-'.repeat(displayWidth(lines[0]));
+  lines.splice(1, 0, rule);
+  lines.splice(lines.length - 1, 0, rule);
+  return lines;
+}
+
+function escapeCsvField(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function formatUsageCsv(report) {
+  const lines = [[report.group, 'sessions', 'turns', 'tokens', 'seconds'].join(',')];
+  for (const row of report.rows) {
+    lines.push([row.key, row.sessions, row.turns, row.tokens, row.seconds].map(escapeCsvField).join(','));
+  }
+  return lines;
+}
+
+function buildUsageJson(report, now = Date.now()) {
+  const toIso = (ms) => (ms === null ? null : toIsoString(new Date(ms)));
+  return {
+    schemaVersion: JSON_SCHEMA_VERSION,
+    generatedAt: toIsoString(new Date(now)),
+    groupBy: report.group,
+    since: toIso(report.since),
+    until: toIso(report.until),
+    rows: report.rows,
+    totals: report.totals,
+    skipped: report.skipped,
+  };
+}
+
+async function runReport(options, stdout) {
+  const report = await buildUsageReport(path.resolve(options.baseDir), {
+    since: options.since,
+    until: options.until,
+    group: options.reportGroup,
+    filter: buildSessionFilter(options),
+  });
+  if (options.json) {
+    stdout.write(`${JSON.stringify(buildUsageJson(report))}\n`);
+    return;
+  }
+  const lines = options.csv ? formatUsageCsv(report) : formatUsageTable(report);
+  stdout.write(`${lines.join('\n')}\n`);
+  if (report.skipped) {
+    console.error(`Skipped ${report.skipped} log${report.skipped === 1 ? '' : 's'} that could not be read.`);
+  }
+}
+
+async function runReview(options, stdout) {
+  const log = await resolveSessionLog(path.resolve(options.baseDir), options.session);
+  const info = await readLog(log.path);
+  if (!info.lastReview) {
+    throw new Error(`No review found in ${log.path}`);
+  }
+  const lines = formatReviewReport(info.lastReview, log, {
+    severity: options.reviewSeverity,
+    minConfidence: options.reviewMinConfidence,
+    ascii: options.ascii,
+  });
+  stdout.write(`${lines.join('\n')}\n`);
+}
+
+const SEARCH_SNIPPET_CONTEXT = 40;
+const SEARCH_HIGHLIGHT_STYLE = 'bold yellow';
+
+function buildSearchRegExp(pattern, { regex = false, ignoreCase = false } = {}) {
+  const source = regex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  try {
+    return new RegExp(source, ignoreCase ? 'gi' : 'g');
+  } catch (err) {
+    throw new Error(`Invalid search pattern: ${pattern} (${err.message})`);
+  }
+}
+
+// Whitespace is collapsed first so a snippet always fits on one line; the
+// window is centred on the first match and every match inside it is marked.
+function formatSearchSnippet(text, matcher, { highlight = false } = {}) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  matcher.lastIndex = 0;
+  const first = matcher.exec(flat);
+  matcher.lastIndex = 0;
+  if (!first) return null;
+  const start = Math.max(0, first.index - SEARCH_SNIPPET_CONTEXT);
+  const end = Math.min(flat.length, first.index + first[0].length + SEARCH_SNIPPET_CONTEXT);
+  let snippet = flat.slice(start, end);
+  if (highlight) {
+    snippet = snippet.replace(matcher, (match) => colorize(match, SEARCH_HIGHLIGHT_STYLE));
+  }
+  return `${start > 0 ? '…' : ''}${snippet}${end < flat.length ? '…' : ''}`;
+}
+
+function formatLocalTimestamp(date) {
+  if (!date) return 'unknown time';
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${localDayKey(date)} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+// Sessions are searched newest first; hits inside a session stay in log order.
+async function runSearch(options, stdout) {
+  const baseDir = path.resolve(options.baseDir);
+  const matcher = buildSearchRegExp(options.searchPattern, {
+    regex: options.searchRegex,
+    ignoreCase: options.searchIgnoreCase,
+  });
+  const highlight = shouldUseColor(options.color, stdout);
+  const filter = buildSessionFilter(options);
+  const logs = filter
+    ? await findFilteredSessionLogs(baseDir, null, filter)
+    : await findSessionLogs(baseDir, null);
+  const maxResults = options.searchMaxResults;
+  let count = 0;
+  let printedSessions = 0;
+
+  for (const log of logs) {
+    if (count >= maxResults) break;
+    const hits = [];
+    await forEachLogRecord(log.path, (record) => {
+      const entry = describeTranscriptRecord(record);
+      if (!entry) return true;
+      const text = entry.name ? `${entry.name} ${entry.text}` : entry.text;
+      const snippet = formatSearchSnippet(text, matcher, { highlight });
+      if (!snippet) return true;
+      hits.push(`  ${formatLocalTimestamp(entry.timestamp)}  ${padToWidth(entry.kind, 9)}  ${snippet}`);
+      count += 1;
+      return count < maxResults;
+    });
+    if (!hits.length) continue;
+    const lines = [log.path, ...hits];
+    if (printedSessions > 0) lines.unshift('');
+    stdout.write(`${lines.join('\n')}\n`);
+    printedSessions += 1;
+  }
+
+  if (count === 0) {
+    throw new Error(`No matches for ${options.searchPattern} in ${baseDir}`);
+  }
+  if (count >= maxResults) {
+    stdout.write(`\nStopped at --max-results ${maxResults}; there may be more matches.\n`);
+  }
+}
+
+// Shell tool output arrives as a JSON string wrapping the actual output.
+function toolOutputText(output) {
+  if (output && typeof output === 'object') {
+    return typeof output.content === 'string' ? output.content : JSON.stringify(output);
+  }
+  if (typeof output !== 'string') return '';
+  try {
+    const parsed = JSON.parse(output);
+    if (parsed && typeof parsed.output === 'string') return parsed.output;
+  } catch (err) {
+    // Plain text output
+  }
+  return output;
+}
+
+function describeTokenCount(payload) {
+  const info = payload.info || null;
+  const parts = [];
+  if (info && info.total_token_usage && Number.isFinite(info.total_token_usage.total_tokens)) {
+    parts.push(`total ${formatCompact(info.total_token_usage.total_tokens)}`);
+  }
+  if (info && info.last_token_usage && Number.isFinite(info.last_token_usage.total_tokens)) {
+    parts.push(`last ${formatCompact(info.last_token_usage.total_tokens)}`);
+  }
+  const usage = resolveContextUsage(info);
+  if (usage) parts.push(`context ${Math.round(usage.percent)}%`);
+  return parts.join(' · ');
+}
+
+// The timeline adds reasoning, tool output, token counts and review mode
+// changes to the messages and tool calls that search looks at.
+function describeTimelineRecord(record) {
+  const message = describeTranscriptRecord(record);
+  if (message) return message;
+  const payload = record && record.payload;
+  if (!payload || typeof payload !== 'object') return null;
+  const entry = (kind, text) => (text ? { timestamp: recordTimestamp(record), kind, name: null, text } : null);
+
+  if (record.type === 'response_item') {
+    if (payload.type === 'reasoning') return entry('reasoning', joinContentText(payload.summary));
+    if (payload.type === 'function_call_output' || payload.type === 'custom_tool_call_output') {
+      return entry('output', toolOutputText(payload.output).trim());
+    }
+    return null;
+  }
+
+  if (record.type === 'event_msg') {
+    if (payload.type === 'token_count') return entry('tokens', describeTokenCount(payload));
+    if (payload.type === 'entered_review_mode') return entry('review', 'Entered review mode');
+    if (payload.type === 'exited_review_mode') {
+      const review = normalizeReviewPayload(payload.review_output, { source: 'exited_review_mode' });
+      const verdict = review ? review.verdict || deriveReviewVerdict(review.overallCorrectness) : null;
+      const findings = review ? review.findings.length : 0;
+      const summary = review ? [verdict, findings ? `${findings} finding${findings === 1 ? '' : 's'}` : null] : [];
+      const details = summary.filter(Boolean).join(', ');
+      return entry('review', details ? `Exited review mode: ${details}` : 'Exited review mode');
+    }
+  }
+  return null;
+}
+
+// Continuation lines of multi-line text are indented under the first, so the
+// timeline reads well in a pager.
+function formatTranscriptEntry(entry) {
+  const text = entry.kind === 'tool' && entry.name ? `${entry.name} ${entry.text}` : entry.text;
+  const prefix = `${padToWidth(formatLocalTimestamp(entry.timestamp), 19)}  ${padToWidth(entry.kind, 9)}  `;
+  const indent = ' '.repeat(prefix.length);
+  return text
+    .split('\n')
+    .map((line, index) => `${index === 0 ? prefix : indent}${line}`.trimEnd())
+    .join('\n');
+}
+
+async function runShow(options, stdout) {
+  const log = await resolveSessionLog(path.resolve(options.baseDir), options.session);
+  const only = options.transcriptKinds;
+  stdout.write(`Session: ${log.path}\n`);
+  let count = 0;
+  await forEachLogRecord(log.path, (record) => {
+    const entry = describeTimelineRecord(record);
+    if (!entry || (only && !only.includes(entry.kind))) return;
+    stdout.write(`${formatTranscriptEntry(entry)}\n`);
+    count += 1;
+  });
+  if (!count) stdout.write('No matching entries.\n');
+}
+
+function describeHookSession(detail) {
+  const context = detail.lastContext || {};
+  return {
+    session: sessionIdFromPath(detail.log && detail.log.path),
+    logPath: detail.log && detail.log.path ? detail.log.path : null,
+    cwd: context.cwd || null,
+    model: context.model || null,
+    timestamp: toIsoString(detail.lastTimestamp),
+  };
 }
 
 async function runWatch(options, stdout, deps = {}) {
@@ -1062,20 +4112,47 @@ async function runWatch(options, stdout, deps = {}) {
   const intervalMs = Math.max(1, options.interval) * 1000;
   const columns = () => (stdout && Number.isInteger(stdout.columns) ? stdout.columns : null);
   const gather = deps.gatherStatuses || gatherStatuses;
+  const reader = deps.readLog || createIncrementalLogReader();
+  const readMeta = deps.readSessionMeta || createSessionMetaReader();
+  const writeCache = deps.writeStatusCache || writeStatusCache;
   const setIntervalFn = deps.setIntervalFn || setInterval;
+  const setTimeoutFn = deps.setTimeoutFn || setTimeout;
+  const clearTimeoutFn = deps.clearTimeoutFn || clearTimeout;
+  const watchFn = deps.watchFn || fs.watch;
+  const now = deps.now || Date.now;
   const playSound = deps.playSound || playAlertSound;
+  const notify = deps.notify || sendNotification;
+  // Only watchers asked to feed --prompt write the cache.
+  const cacheFile = options.writeCache ? resolveCacheFile(options) : null;
+  const hookRunner = deps.hookRunner
+    || createHookRunner(options.hooks || [], { timeoutSeconds: options.hookTimeout }, { spawn: deps.spawn });
   const stdin = deps.stdin || process.stdin;
   const processObj = deps.processObject || process;
 
   let running = false;
-  let lastSeenActivity = null;
+  // A draw requested while a refresh is in flight, replayed once it finishes.
+  let pendingDraw = null;
   let lastSeenTimestamp = null;
   let lastStatus = null;
   let soundMuted = false;
   let cleanedUp = false;
   let keypressListener = null;
   let rawModeEnabled = false;
-  let messageCounter = 0;
+  let notifyMuted = false;
+  const soundGate = createActivityGate(options.sound);
+  const notifyGate = createActivityGate(options.notify);
+  let debounceTimer = null;
+  const treeWatchers = new Map();
+  const fileWatchers = new Map();
+  if (!options.rateHistory) options.rateHistory = createRateHistory();
+  const alertTracker = createAlertTracker(options.alerts || []);
+  let flashingFields = new Set();
+  let flashStepsLeft = 0;
+  let flashTimer = null;
+  // null while following the newest session; { selectedPath, expanded } once
+  // the picker is open. The selection is kept by path so it stays on the same
+  // session when newer activity reorders the list.
+  let picker = null;
 
   function cleanupInput() {
     if (cleanedUp) return;
@@ -1088,17 +4165,225 @@ async function runWatch(options, stdout, deps = {}) {
     }
   }
 
-  function updateSoundOptions() {
+  function scheduleDraw() {
+    if (debounceTimer) clearTimeoutFn(debounceTimer);
+    debounceTimer = setTimeoutFn(() => {
+      debounceTimer = null;
+      draw().catch((err) => {
+        console.error('Watch update failed:', err.message || err);
+      });
+    }, options.debounce);
+  }
+
+  function startWatcher(target, watchOptions, onChange) {
+    try {
+      const watcher = watchFn(target, watchOptions, onChange);
+      if (watcher && typeof watcher.on === 'function') {
+        watcher.on('error', () => {
+          // The interval keeps refreshing if a watcher dies (e.g. file removed).
+          if (typeof watcher.close === 'function') watcher.close();
+        });
+      }
+      return watcher;
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // New rollout files land in <base>/YYYY/MM/DD, so only the base folder and
+  // today's date folders are watched; a recursive watch would walk the whole
+  // history on Linux. Folders that do not exist yet are picked up when their
+  // parent reports them, or on the next refresh; the per-file watchers cover
+  // appends to the sessions on screen.
+  function treeWatchTargets() {
+    const today = new Date(now());
+    const parts = [
+      String(today.getFullYear()),
+      String(today.getMonth() + 1).padStart(2, '0'),
+      String(today.getDate()).padStart(2, '0'),
+    ];
+    return [baseDir, ...parts.map((part, index) => path.join(baseDir, ...parts.slice(0, index + 1)))];
+  }
+
+  function syncTreeWatchers() {
+    const targets = new Set(treeWatchTargets());
+    for (const [dir, watcher] of treeWatchers) {
+      if (targets.has(dir)) continue;
+      if (watcher && typeof watcher.close === 'function') watcher.close();
+      treeWatchers.delete(dir);
+    }
+    for (const dir of targets) {
+      if (treeWatchers.has(dir)) continue;
+      const watcher = startWatcher(dir, {}, (eventType, filename) => {
+        syncTreeWatchers();
+        if (filename) {
+          const extension = path.extname(String(filename));
+          if (extension && extension !== '.jsonl') return;
+        }
+        scheduleDraw();
+      });
+      if (!watcher) continue;
+      treeWatchers.set(dir, watcher);
+      if (typeof watcher.on === 'function') {
+        watcher.on('error', () => {
+          if (treeWatchers.get(dir) === watcher) treeWatchers.delete(dir);
+        });
+      }
+    }
+  }
+
+  function syncFileWatchers(status) {
+    const paths = new Set();
+    for (const detail of status.sessions || []) {
+      if (detail.log && detail.log.path) paths.add(detail.log.path);
+    }
+    for (const [filePath, watcher] of fileWatchers) {
+      if (paths.has(filePath)) continue;
+      if (watcher && typeof watcher.close === 'function') watcher.close();
+      fileWatchers.delete(filePath);
+    }
+    for (const filePath of paths) {
+      if (fileWatchers.has(filePath)) continue;
+      fileWatchers.set(filePath, startWatcher(filePath, {}, () => scheduleDraw()));
+    }
+  }
+
+  function closeWatchers() {
+    if (debounceTimer) {
+      clearTimeoutFn(debounceTimer);
+      debounceTimer = null;
+    }
+    for (const watcher of treeWatchers.values()) {
+      if (watcher && typeof watcher.close === 'function') watcher.close();
+    }
+    treeWatchers.clear();
+    for (const watcher of fileWatchers.values()) {
+      if (watcher && typeof watcher.close === 'function') watcher.close();
+    }
+    fileWatchers.clear();
+  }
+
+  // Rate limits are per account, so the newest session's snapshot is enough.
+  function recordRateSample(status) {
+    const detail = status.sessions && status.sessions[0];
+    const tokenCount = detail ? detail.lastTokenCount : null;
+    if (tokenCount && tokenCount.rate_limits) options.rateHistory.record(tokenCount.rate_limits);
+  }
+
+  function checkAlerts(status) {
+    const detail = status.sessions && status.sessions[0];
+    const fired = alertTracker.check(detail);
+    if (!fired.length) return;
+    for (const alert of fired) hookRunner.emit('threshold', { ...describeHookSession(detail), ...alert });
+    if (!isSoundMuted()) playSound('threshold', options.sound, options.soundVolume, options.soundReverb);
+    if (options.json) return;
+    for (const alert of fired) flashingFields.add(alert.field);
+    flashStepsLeft = ALERT_FLASH_STEPS;
+    options.flashFields = new Set(flashingFields);
+    if (!flashTimer) flashTimer = setTimeoutFn(flashStep, ALERT_FLASH_INTERVAL_MS);
+  }
+
+  // Toggles the marker on the alerting fields, then clears it for good.
+  function flashStep() {
+    flashTimer = null;
+    flashStepsLeft -= 1;
+    if (flashStepsLeft <= 0) {
+      flashingFields = new Set();
+      options.flashFields = null;
+    } else {
+      options.flashFields = options.flashFields ? null : new Set(flashingFields);
+      flashTimer = setTimeoutFn(flashStep, ALERT_FLASH_INTERVAL_MS);
+    }
+    draw({ reuseLastStatus: true }).catch((err) => {
+      console.error('Redraw failed during alert flash:', err.message || err);
+    });
+  }
+
+  function emitActivityHooks(detail, activity) {
+    if (!activity) return;
+    const details = { ...describeHookSession(detail), activity };
+    if (activity === 'assistant') details.message = detail.lastAssistantMessage || null;
+    if (activity === 'review' && detail.lastReview) {
+      details.verdict = detail.lastReview.verdict || null;
+      details.findings = Array.isArray(detail.lastReview.findings) ? detail.lastReview.findings.length : null;
+    }
+    hookRunner.emit('activity', details);
+    hookRunner.emit(activity, details);
+  }
+
+  function updateStatusOptions() {
     options.soundMuted = soundMuted;
+    options.notifyMuted = notifyMuted;
     options.showSoundStatus = options.sound !== 'off';
+    options.showNotifyStatus = options.notify !== 'off';
+  }
+
+  // The picker gathers more sessions than --limit; trim them once it closes.
+  function followedStatus(status) {
+    if (!status.sessions || status.sessions.length <= options.limit) return status;
+    return { ...status, sessions: status.sessions.slice(0, options.limit) };
+  }
+
+  function openOrMovePicker(step) {
+    if (!picker) {
+      picker = { selectedPath: null, expanded: false };
+      draw().catch((err) => {
+        console.error('Watch update failed:', err.message || err);
+      });
+      return;
+    }
+    const sessions = (lastStatus && lastStatus.sessions) || [];
+    if (!sessions.length) return;
+    const current = pickerIndex(sessions, picker.selectedPath);
+    const next = Math.min(sessions.length - 1, Math.max(0, current + step));
+    picker.selectedPath = sessions[next].log.path;
+    draw({ reuseLastStatus: true }).catch((err) => {
+      console.error('Redraw failed after selection change:', err.message || err);
+    });
+  }
+
+  function setPicker(next) {
+    picker = next;
+    draw({ reuseLastStatus: true }).catch((err) => {
+      console.error('Redraw failed after picker change:', err.message || err);
+    });
+  }
+
+  function handlePickerKey(keyName) {
+    if (keyName === 'down' || keyName === 'j') {
+      openOrMovePicker(1);
+      return;
+    }
+    if (keyName === 'up' || keyName === 'k') {
+      openOrMovePicker(-1);
+      return;
+    }
+    if (!picker) return;
+    if ((keyName === 'return' || keyName === 'enter') && !picker.expanded) {
+      const sessions = (lastStatus && lastStatus.sessions) || [];
+      const selected = sessions[pickerIndex(sessions, picker.selectedPath)];
+      setPicker({ selectedPath: selected && selected.log ? selected.log.path : null, expanded: true });
+    } else if (keyName === 'escape') {
+      setPicker(picker.expanded ? { ...picker, expanded: false } : null);
+    } else if (keyName === 'a') {
+      setPicker(null);
+    }
   }
 
   function isSoundMuted() {
     return options.sound === 'off' || soundMuted;
   }
 
+  function isNotifyMuted() {
+    return !options.notify || options.notify === 'off' || notifyMuted;
+  }
+
   async function draw({ reuseLastStatus = false } = {}) {
-    if (running) return;
+    if (running) {
+      // A full refresh wins over a redraw of the last status.
+      pendingDraw = { reuseLastStatus: reuseLastStatus && (!pendingDraw || pendingDraw.reuseLastStatus) };
+      return;
+    }
     running = true;
     try {
       let status;
@@ -1106,64 +4391,82 @@ async function runWatch(options, stdout, deps = {}) {
       if (reuseLastStatus && lastStatus) {
         status = lastStatus;
       } else {
-        status = await gather(baseDir, options.limit);
+        const limit = picker ? Math.max(options.limit, PICKER_SESSION_COUNT) : options.limit;
+        const filter = buildSessionFilter(options, { now: now() });
+        status = await gather(baseDir, limit, { reader, readMeta, filter });
         lastStatus = status;
         gathered = true;
+        recordRateSample(status);
+        checkAlerts(status);
+        if (options.watchFs) {
+          syncTreeWatchers();
+          syncFileWatchers(status);
+        }
+        if (cacheFile) {
+          writeCache(cacheFile, baseDir, status).catch(() => {
+            // the prompt cache is best-effort
+          });
+        }
       }
 
-      updateSoundOptions();
-      const summary = buildReport(status, options);
-      console.clear();
-      stdout.write(`${truncateToTerminal(summary, columns())}\n`);
+      updateStatusOptions();
+      if (options.json) {
+        // NDJSON: one document per refresh, never re-emitted for keypress redraws.
+        if (gathered) stdout.write(`${JSON.stringify(buildJsonReport(status))}\n`);
+      } else if (options.tmux) {
+        stdout.write(`${formatTmuxLine(status, options)}\n`);
+      } else {
+        const summary = picker
+          ? renderPicker(status, picker, options, columns())
+          : renderReport(followedStatus(status), options, columns());
+        console.clear();
+        stdout.write(`${summary}\n`);
+      }
 
-      // Check for any new activity if sound is enabled
-      if (gathered && !isSoundMuted() && status.sessions && status.sessions.length > 0) {
+      // Check for any new activity to announce
+      if (gathered && status.sessions && status.sessions.length > 0) {
         const detail = status.sessions[0];
         const currentActivity = detail.lastActivity;
         const currentTimestamp = detail.lastTimestamp ? detail.lastTimestamp.getTime() : null;
-        
-        if (lastSeenActivity === null && lastSeenTimestamp === null) {
-          // First run, just record the state without playing sound
-          lastSeenActivity = currentActivity;
+
+        if (lastSeenTimestamp === null) {
+          // First run, just record the state without alerting
           lastSeenTimestamp = currentTimestamp;
         } else if (currentTimestamp && currentTimestamp > lastSeenTimestamp) {
           // New activity detected (timestamp changed)!
-          lastSeenActivity = currentActivity;
           lastSeenTimestamp = currentTimestamp;
+          emitActivityHooks(detail, currentActivity);
 
-          // Determine if we should play sound based on mode and activity
-          let shouldPlay = false;
-          
-          if (options.sound === 'assistant') {
-            // Only play for assistant messages
-            shouldPlay = currentActivity === 'assistant';
-          } else if (options.sound === 'some') {
-            // Play for assistant messages always (tada sound)
-            if (currentActivity === 'assistant') {
-              shouldPlay = true;
-              // Don't increment counter for assistant messages
-            } else if (currentActivity !== 'user') {
-              // For other non-user activities, increment counter and play every 2nd or 3rd
-              messageCounter += 1;
-              shouldPlay = messageCounter % 2 === 0 || messageCounter % 3 === 0;
-            }
-            // User messages are ignored (no sound, no counter increment)
-          } else if (options.sound === 'all') {
-            // Play for all non-user activities
-            shouldPlay = currentActivity !== 'user';
-          }
-
-          if (shouldPlay) {
+          if (!isSoundMuted() && soundGate(currentActivity)) {
             playSound(currentActivity, options.sound, options.soundVolume, options.soundReverb);
           }
+          if (!isNotifyMuted() && notifyGate(currentActivity)) {
+            const context = detail.lastContext || {};
+            const notification = formatNotification(currentActivity, {
+              message: detail.lastAssistantMessage,
+              directory: context.cwd ? trimPath(context.cwd) : null,
+            });
+            notify(notification, {
+              backend: options.notifyBackend,
+              command: options.notifyCommand,
+              file: options.notifyFile,
+            });
+          }
         }
       }
     } finally {
       running = false;
+      if (pendingDraw) {
+        const next = pendingDraw;
+        pendingDraw = null;
+        draw(next).catch((err) => {
+          console.error('Watch update failed:', err.message || err);
+        });
+      }
     }
   }
 
-  updateSoundOptions();
+  updateStatusOptions();
 
   if (stdin && typeof stdin.on === 'function') {
     readline.emitKeypressEvents(stdin);
@@ -1196,17 +4499,27 @@ async function runWatch(options, stdout, deps = {}) {
       }
       if ((sequence && sequence.toLowerCase() === 'm') || keyName === 'm') {
         soundMuted = !soundMuted;
-        updateSoundOptions();
+        updateStatusOptions();
         draw({ reuseLastStatus: true }).catch((err) => {
           console.error('Redraw failed after mute toggle:', err.message || err);
         });
       } else if ((sequence && sequence.toLowerCase() === 'r') || keyName === 'r') {
         if (options.sound === 'off') return;
         options.soundReverb = nextReverbSetting(options.soundReverb);
-        updateSoundOptions();
+        updateStatusOptions();
         draw({ reuseLastStatus: true }).catch((err) => {
           console.error('Redraw failed after reverb toggle:', err.message || err);
         });
+      } else if ((sequence && sequence.toLowerCase() === 'n') || keyName === 'n') {
+        if (!options.notify || options.notify === 'off') return;
+        notifyMuted = !notifyMuted;
+        updateStatusOptions();
+        draw({ reuseLastStatus: true }).catch((err) => {
+          console.error('Redraw failed after notification toggle:', err.message || err);
+        });
+      } else if (!options.json && !options.tmux) {
+        // The picker only exists on the full-screen display
+        handlePickerKey(keyName);
       }
     };
 
@@ -1224,6 +4537,13 @@ async function runWatch(options, stdout, deps = {}) {
     }
   }
 
+  if (options.watchFs) {
+    syncTreeWatchers();
+    if (processObj && typeof processObj.once === 'function') {
+      processObj.once('exit', closeWatchers);
+    }
+  }
+
   await draw();
   setIntervalFn(() => {
     draw().catch((err) => {
@@ -1251,13 +4571,31 @@ async function runCli({ argv = process.argv.slice(2), version = '0.0.0', stdout
     return 0;
   }
 
-  const requirementResult = ensureCodexCli('0.41.0');
-  if (requirementResult !== true) {
-    return requirementResult;
+  // Prompt rendering has a tight time budget, so it skips the Codex CLI check.
+  if (!options.prompt && !options.refreshCache) {
+    const requirementResult = ensureCodexCli('0.41.0');
+    if (requirementResult !== true) {
+      return requirementResult;
+    }
   }
 
+  options.palette = resolvePalette(options, stdout);
+  if (options.ascii === null) options.ascii = !localeSupportsUtf8();
+
   try {
-    if (options.watch) {
+    if (options.command === 'review') {
+      await runReview(options, stdout);
+    } else if (options.command === 'report') {
+      await runReport(options, stdout);
+    } else if (options.command === 'search') {
+      await runSearch(options, stdout);
+    } else if (options.command === 'show') {
+      await runShow(options, stdout);
+    } else if (options.refreshCache) {
+      await runRefreshCache(options);
+    } else if (options.prompt) {
+      await runPrompt(options, stdout);
+    } else if (options.watch) {
       await runWatch(options, stdout);
     } else {
       await runOnce(options, stdout);
@@ -1273,8 +4611,33 @@ module.exports = {
   runCli,
   ensureCodexCli,
   parseArgs,
+  defaultConfigPath,
+  defaultCachePath,
   compareVersions,
   truncateToTerminal,
+  tmuxCodePointWidth,
+  formatSessionSummary,
+  formatTmuxLine,
+  resolvePalette,
+  localeSupportsUtf8,
+  buildReportLines,
+  renderReport,
+  buildSessionDetailLines,
   runWatch,
+  runReview,
+  runReport,
+  runSearch,
+  runShow,
+  buildUsageReport,
+  createRateHistory,
+  createAlertTracker,
+  runPrompt,
+  writeStatusCache,
+  readStatusCache,
   readLog,
+  gatherStatuses,
+  createIncrementalLogReader,
+  formatReviewReport,
+  buildJsonReport,
+  JSON_SCHEMA_VERSION,
 };
@@ -0,0 +1,76 @@
+const { spawn } = require('child_process');
+
+// "activity" fires for every new activity, the others only for their own kind.
+const HOOK_EVENTS = ['activity', 'user', 'assistant', 'tool', 'thinking', 'review', 'threshold'];
+
+const DEFAULT_HOOK_TIMEOUT_SECONDS = 10;
+
+function parseHookSpec(raw) {
+  const text = typeof raw === 'string' ? raw : '';
+  const separator = text.indexOf('=');
+  const event = separator > 0 ? text.slice(0, separator).trim().toLowerCase() : '';
+  const command = separator > 0 ? text.slice(separator + 1).trim() : '';
+  if (!HOOK_EVENTS.includes(event) || !command) {
+    throw new Error(`Invalid hook: ${raw} (expected <event>=<command> with event ${HOOK_EVENTS.join(', ')})`);
+  }
+  return { event, command };
+}
+
+// Scalar details become CODEX_STATUS_* variables: { field: 'daily' } sets
+// CODEX_STATUS_FIELD=daily and logPath sets CODEX_STATUS_LOG_PATH.
+function hookEnvironment(event, details = {}) {
+  const env = { CODEX_STATUS_EVENT: event };
+  for (const [key, value] of Object.entries(details)) {
+    if (value == null || typeof value === 'object') continue;
+    const name = key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+    env[`CODEX_STATUS_${name}`] = String(value);
+  }
+  return env;
+}
+
+function runHook(hook, event, details, timeoutMs, overrides = {}) {
+  const useSpawn = overrides.spawn || spawn;
+  try {
+    const child = useSpawn(hook.command, [], {
+      shell: true,
+      stdio: ['pipe', 'ignore', 'ignore'],
+      env: { ...process.env, ...hookEnvironment(event, details) },
+      timeout: timeoutMs,
+    });
+    if (!child) return;
+    if (typeof child.on === 'function') {
+      child.on('error', () => {
+        // A hook that cannot start must not disturb the watcher
+      });
+    }
+    if (child.stdin) {
+      // Hooks that never read stdin close it early; ignore the EPIPE
+      child.stdin.on('error', () => {});
+      child.stdin.end(`${JSON.stringify({ event, ...details })}\n`);
+    }
+  } catch (err) {
+    // Silently fail - hooks are best-effort
+  }
+}
+
+// Hooks are spawned and left to run; the watcher never waits for them, and
+// each one is killed once it outlives the timeout.
+function createHookRunner(hooks = [], { timeoutSeconds = DEFAULT_HOOK_TIMEOUT_SECONDS } = {}, overrides = {}) {
+  const timeoutMs = Math.max(1, Math.round(timeoutSeconds * 1000));
+
+  function emit(event, details = {}) {
+    for (const hook of hooks) {
+      if (hook.event === event) runHook(hook, event, details, timeoutMs, overrides);
+    }
+  }
+
+  return { emit };
+}
+
+module.exports = {
+  HOOK_EVENTS,
+  DEFAULT_HOOK_TIMEOUT_SECONDS,
+  parseHookSpec,
+  hookEnvironment,
+  createHookRunner,
+};
@@ -0,0 +1,87 @@
+const fs = require('fs');
+const os = require('os');
+const { spawn } = require('child_process');
+
+const NOTIFY_BACKENDS = ['auto', 'notify-send', 'osascript', 'command', 'file'];
+
+const ACTIVITY_TITLES = {
+  assistant: 'Codex replied',
+  tool: 'Codex is running a tool',
+  thinking: 'Codex is thinking',
+  review: 'Codex finished a review',
+};
+
+const MAX_BODY_LENGTH = 200;
+
+function formatNotification(activityType, { message = null, directory = null } = {}) {
+  const base = ACTIVITY_TITLES[activityType] || `Codex: ${activityType}`;
+  const title = directory ? `${base} (${directory})` : base;
+  let body = '';
+  if (activityType === 'assistant' && typeof message === 'string') {
+    body = message.replace(/\s+/g, ' ').trim();
+    if (body.length > MAX_BODY_LENGTH) body = `${body.slice(0, MAX_BODY_LENGTH - 1)}…`;
+  }
+  return { title, body };
+}
+
+// "auto" prefers an explicitly configured command or file sink, then the
+// platform's own notifier.
+function resolveNotifyBackend(settings = {}, platform = os.platform()) {
+  const backend = settings.backend || 'auto';
+  if (backend !== 'auto') return backend;
+  if (settings.command) return 'command';
+  if (settings.file) return 'file';
+  if (platform === 'darwin') return 'osascript';
+  if (platform === 'linux') return 'notify-send';
+  return null;
+}
+
+function appleScriptString(text) {
+  return `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+function sendNotification({ title, body = '' }, settings = {}, overrides = {}) {
+  const useSpawn = overrides.spawn || spawn;
+  const platform = overrides.platform || os.platform();
+  const now = overrides.now || Date.now;
+  const backend = resolveNotifyBackend(settings, platform);
+
+  try {
+    let child = null;
+    if (backend === 'notify-send') {
+      child = useSpawn('notify-send', ['--app-name=codex-status', title, body], { stdio: 'ignore' });
+    } else if (backend === 'osascript') {
+      const script = `display notification ${appleScriptString(body)} with title ${appleScriptString(title)}`;
+      child = useSpawn('osascript', ['-e', script], { stdio: 'ignore' });
+    } else if (backend === 'command' && settings.command) {
+      // Title and body travel in the environment so they never need shell quoting
+      child = useSpawn(settings.command, [], {
+        shell: true,
+        stdio: 'ignore',
+        env: { ...process.env, CODEX_STATUS_TITLE: title, CODEX_STATUS_BODY: body },
+      });
+    } else if (backend === 'file' && settings.file) {
+      const entry = { time: new Date(now()).toISOString(), title, body };
+      fs.appendFileSync(settings.file, `${JSON.stringify(entry)}\n`);
+      return true;
+    } else {
+      return false;
+    }
+    if (child && typeof child.on === 'function') {
+      child.on('error', () => {
+        // Missing notifier binaries are ignored, like missing audio players
+      });
+    }
+    return true;
+  } catch (err) {
+    // Silently fail - notifications are non-critical
+    return false;
+  }
+}
+
+module.exports = {
+  NOTIFY_BACKENDS,
+  formatNotification,
+  resolveNotifyBackend,
+  sendNotification,
+};
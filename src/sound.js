@@ -273,9 +273,17 @@ function initializePreGeneratedSounds(volumePercent = 100) {
     return beep.slice(44);
   });
   
+  // Pre-generate the threshold alert motif: a falling G-D figure played twice
+  // with longer notes, so it never sounds like activity
+  const thresholdBuffers = [freqs.G5, freqs.D5, freqs.G5, freqs.D5].map(freq => {
+    const beep = generateBeepWav(freq, 240, 8000, volumePercent);
+    return beep.slice(44);
+  });
+
   preGeneratedSounds = {
     noteBuffers,
     assistantNoteBuffers,
+    thresholdBuffers,
     noteFrequencies: allNotes,
   };
 }
@@ -284,6 +292,16 @@ function generateG6ChordBeep(activityType, soundMode = 'all', volumePercent = 10
   // Lazy initialization - only generate sounds when first needed
   initializePreGeneratedSounds(volumePercent);
 
+  if (activityType === 'threshold') {
+    const combinedSamples = Buffer.concat(preGeneratedSounds.thresholdBuffers);
+    const filteredSamples = applyLowpassFilter(combinedSamples, 3000);
+    const finalSamples = (reverbOptions === false || reverbOptions === 'none')
+      ? filteredSamples
+      : applyReverb(filteredSamples, 8000, reverbOptions);
+
+    return wrapSamplesWithHeader(finalSamples);
+  }
+
   const isAssistant = activityType === 'assistant';
 
   if (isAssistant) {
@@ -0,0 +1,125 @@
+const COLOR_MODES = ['auto', 'always', 'never'];
+
+const ANSI_STYLES = {
+  bold: 1,
+  dim: 2,
+  italic: 3,
+  underline: 4,
+  inverse: 7,
+  black: 30,
+  red: 31,
+  green: 32,
+  yellow: 33,
+  blue: 34,
+  magenta: 35,
+  cyan: 36,
+  white: 37,
+  gray: 90,
+  grey: 90,
+  'bright-red': 91,
+  'bright-green': 92,
+  'bright-yellow': 93,
+  'bright-blue': 94,
+  'bright-magenta': 95,
+  'bright-cyan': 96,
+  'bright-white': 97,
+};
+
+const ANSI_RESET = '\x1b[0m';
+
+// Fields a theme does not list stay uncoloured. "warn" and "critical" replace
+// a field's colour once its usage crosses the matching threshold.
+const COLOR_THEMES = {
+  default: {
+    fields: { time: 'dim', model: 'cyan', directory: 'blue', review: 'magenta', cost: 'green' },
+    activity: { user: 'green', assistant: 'bold magenta', tool: 'yellow', thinking: 'cyan', review: 'blue' },
+    warn: 'yellow',
+    critical: 'bold red',
+  },
+  vivid: {
+    fields: {
+      time: 'bright-white',
+      model: 'bold bright-cyan',
+      directory: 'bold bright-blue',
+      daily: 'bright-green',
+      weekly: 'bright-green',
+      context: 'bright-green',
+      review: 'bright-magenta',
+      cost: 'bright-green',
+    },
+    activity: {
+      user: 'bright-green',
+      assistant: 'bold bright-magenta',
+      tool: 'bright-yellow',
+      thinking: 'bright-cyan',
+      review: 'bright-blue',
+    },
+    warn: 'bold bright-yellow',
+    critical: 'bold bright-red',
+  },
+  minimal: {
+    fields: {},
+    activity: {},
+    warn: 'yellow',
+    critical: 'red',
+  },
+};
+
+// Percentages of the rate-limit window (daily, weekly) or of the context window.
+const DEFAULT_COLOR_THRESHOLDS = {
+  daily: { warn: 70, critical: 90 },
+  weekly: { warn: 70, critical: 90 },
+  context: { warn: 70, critical: 90 },
+};
+
+function parseColorMode(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!COLOR_MODES.includes(value)) {
+    throw new Error(`Invalid color mode: ${raw} (expected ${COLOR_MODES.join(', ')})`);
+  }
+  return value;
+}
+
+function parseThemeName(raw) {
+  const value = typeof raw === 'string' ? raw.trim().toLowerCase() : '';
+  if (!Object.prototype.hasOwnProperty.call(COLOR_THEMES, value)) {
+    throw new Error(`Unknown theme: ${raw} (expected ${Object.keys(COLOR_THEMES).join(', ')})`);
+  }
+  return value;
+}
+
+// Styles are space- or comma-separated names, e.g. "bold red".
+function parseColorStyle(raw) {
+  const names = typeof raw === 'string' ? raw.trim().toLowerCase().split(/[\s,]+/).filter(Boolean) : [];
+  if (!names.length || names.some((name) => !Object.prototype.hasOwnProperty.call(ANSI_STYLES, name))) {
+    throw new Error(`Invalid color style: ${raw} (use names like bold, red or bright-yellow)`);
+  }
+  return names.join(' ');
+}
+
+function colorize(text, style) {
+  if (!style || !text) return text;
+  const codes = style.split(' ').map((name) => ANSI_STYLES[name]).join(';');
+  return `\x1b[${codes}m${text}${ANSI_RESET}`;
+}
+
+// NO_COLOR (https://no-color.org) and non-terminal output only switch off
+// "auto"; "always" still colours piped output.
+function shouldUseColor(mode = 'auto', stream = process.stdout, env = process.env) {
+  if (mode === 'always') return true;
+  if (mode === 'never') return false;
+  if (env.NO_COLOR) return false;
+  return Boolean(stream && stream.isTTY);
+}
+
+module.exports = {
+  COLOR_MODES,
+  COLOR_THEMES,
+  DEFAULT_COLOR_THRESHOLDS,
+  ANSI_RESET,
+  parseColorMode,
+  parseThemeName,
+  parseColorStyle,
+  colorize,
+  shouldUseColor,
+};
@@ -8,13 +8,43 @@ const { EventEmitter } = require('node:events');
 const {
   compareVersions,
   truncateToTerminal,
-  parseArgs,
+  tmuxCodePointWidth,
+  formatSessionSummary,
+  formatTmuxLine,
+  resolvePalette,
+  localeSupportsUtf8,
+  buildReportLines,
+  renderReport,
+  buildSessionDetailLines,
+  parseArgs: parseCliArgs,
+  defaultConfigPath,
+  defaultCachePath,
   ensureCodexCli,
   runWatch,
+  runReview,
+  runReport,
+  runSearch,
+  runShow,
+  buildUsageReport,
+  createRateHistory,
+  createAlertTracker,
+  runPrompt,
+  writeStatusCache,
+  readStatusCache,
   readLog,
+  gatherStatuses,
+  createIncrementalLogReader,
+  buildJsonReport,
 } = require('../src/codex-status');
 
-const { playAlertSound } = require('../src/sound');
+const { playAlertSound, generateG6ChordBeep } = require('../src/sound');
+const { formatNotification, resolveNotifyBackend, sendNotification } = require('../src/notify');
+const { createHookRunner, hookEnvironment } = require('../src/hooks');
+
+// Tests never see the config file in the developer's own ~/.config
+function parseArgs(argv, overrides = {}) {
+  return parseCliArgs(argv, { loadConfig: () => null, ...overrides });
+}
 
 function createMockStdin({ isTTY = false } = {}) {
   const stream = new EventEmitter();
@@ -62,6 +92,105 @@ test('truncateToTerminal respects columns and unicode width', () => {
   assert.equal(truncateToTerminal('A\u0301BC', 2), 'ÁB');
 });
 
+test('truncateToTerminal skips color escapes and closes a cut color', () => {
+  const red = '\x1b[31m🕔75%\x1b[0m \x1b[36m🤖model\x1b[0m';
+  assert.equal(truncateToTerminal(red, 20), red);
+  assert.equal(truncateToTerminal(red, 8), '\x1b[31m🕔75%\x1b[0m \x1b[36m🤖\x1b[0m');
+  assert.equal(truncateToTerminal(red, 4), '\x1b[31m🕔75\x1b[0m');
+});
+
+test('resolvePalette colors thresholds, errors and activity and honours NO_COLOR', () => {
+  const tty = { isTTY: true };
+  assert.equal(resolvePalette({ color: 'auto' }, { isTTY: false }, {}), null);
+  assert.equal(resolvePalette({ color: 'auto' }, tty, { NO_COLOR: '1' }), null);
+  assert.equal(resolvePalette({ color: 'never' }, tty, {}), null);
+  assert.equal(resolvePalette({ color: 'always', tmux: true }, tty, {}), null);
+  assert.ok(resolvePalette({ color: 'always' }, { isTTY: false }, { NO_COLOR: '1' }));
+
+  const palette = resolvePalette({
+    color: 'auto',
+    theme: 'default',
+    colorStyles: { model: 'bold cyan', warn: 'bright-yellow' },
+    colorThresholds: { weekly: { warn: 50, critical: 60 } },
+  }, tty, {});
+  const detail = (daily, weekly) => ({
+    log: { mtime: new Date() },
+    lastContext: { model: 'gpt-5' },
+    lastActivity: 'tool',
+    lastTokenCount: {
+      rate_limits: {
+        primary: { used_percent: daily, window_minutes: 300, resets_in_seconds: 60 },
+        secondary: { used_percent: weekly, window_minutes: 10080, resets_in_seconds: 60 },
+      },
+    },
+  });
+  const render = (value, extra = {}) => formatSessionSummary(value, { formatOrder: ['model', 'activity', 'daily', 'weekly', 'error'], palette, ...extra });
+
+  const calm = render(detail(10, 10));
+  assert.ok(calm.startsWith('\x1b[1;36m🤖5\x1b[0m \x1b[33m💭🔧\x1b[0m 🕔10%'));
+  assert.match(render(detail(75, 65)), /\x1b\[93m🕔75%.*\x1b\[1;31m🗓65%/);
+  assert.match(render(detail(95, 10)), /\x1b\[1;31m🕔95%/);
+  assert.match(render({ ...detail(10, 10), error: 'broken' }), /\x1b\[31m❌broken\x1b\[0m$/);
+  assert.match(render(detail(10, 10), { flashFields: new Set(['daily']) }), /\x1b\[7m🚨🕔10%/);
+  assert.ok(!formatSessionSummary(detail(95, 10), { formatOrder: ['daily'] }).includes('\x1b['));
+  assert.equal(buildReportLines({ error: 'No rollout logs found in /x' }, { palette })[0], '\x1b[31mNo rollout logs found in /x\x1b[0m');
+
+  assert.equal(parseArgs(['--color', 'never']).options.color, 'never');
+  assert.equal(parseArgs(['--no-color']).options.color, 'never');
+  assert.equal(parseArgs(['--theme=vivid']).options.theme, 'vivid');
+  assert.deepEqual(parseArgs(['--color-style', 'directory=underline blue']).options.colorStyles, { directory: 'underline blue' });
+  assert.throws(() => parseArgs(['--color', 'sometimes']), /Invalid color mode/);
+  assert.throws(() => parseArgs(['--theme', 'neon']), /Unknown theme: neon/);
+  assert.throws(() => parseArgs(['--color-style', 'model=sparkly']), /Invalid color style: sparkly/);
+});
+
+test('ascii mode swaps every emoji label and icon for plain text', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: {
+      model: 'gpt-5-codex',
+      cwd: '/srv/app',
+      approval_policy: 'on-request',
+      sandbox_policy: { mode: 'workspace-write', network_access: false },
+    },
+    lastActivity: 'assistant',
+    lastReview: { verdict: 'incorrect', findings: [{ priority: 1 }], overallConfidence: 0.6 },
+    lastTokenCount: {
+      info: {
+        last_token_usage: { input_tokens: 180000, cached_input_tokens: 0, output_tokens: 10, total_tokens: 180010 },
+        total_token_usage: { input_tokens: 400000, total_tokens: 401000 },
+        model_context_window: 200000,
+      },
+      rate_limits: { primary: { used_percent: 42, window_minutes: 300, resets_in_seconds: 3600 } },
+    },
+  };
+  const options = {
+    ascii: true,
+    sound: 'some',
+    showSoundStatus: true,
+    notify: 'assistant',
+    showNotifyStatus: true,
+    notifyMuted: true,
+    contextWarn: 80,
+    flashFields: new Set(['model']),
+    formatOrder: ['sound', 'notify', 'time', 'activity', 'context', 'recent', 'total', 'review', 'model', 'sandbox', 'directory'],
+  };
+  const line = formatSessionSummary(detail, options);
+  assert.equal(line, 'snd ntf-off T:now reply ctx:90%/20K! tok:180K tot:401K rev:!1/P1/60% !!M:5-codex S:workspace-write-net dir:srv/app');
+  assert.match(line, /^[\x20-\x7e]+$/);
+  assert.equal(formatSessionSummary(detail, { ...options, labelOverrides: { model: 'model=' }, formatOrder: ['model'], flashFields: null }), 'model=5-codex');
+  assert.equal(formatSessionSummary({ log: { mtime: null } }, { ascii: true, formatOrder: ['model'] }), '-- no status');
+  assert.equal(buildReportLines({ sessions: [] }, { ascii: true })[0], '-- no sessions');
+
+  assert.equal(localeSupportsUtf8({ LANG: 'en_US.UTF-8' }), true);
+  assert.equal(localeSupportsUtf8({ LC_ALL: 'C', LANG: 'en_US.UTF-8' }), false);
+  assert.equal(localeSupportsUtf8({ LC_CTYPE: 'de_DE.utf8' }), true);
+  assert.equal(localeSupportsUtf8({ LANG: 'POSIX' }), false);
+  assert.equal(localeSupportsUtf8({}), true);
+  assert.equal(parseArgs(['--ascii']).options.ascii, true);
+  assert.equal(parseArgs(['--no-ascii']).options.ascii, false);
+});
+
 test('parseArgs supports flags and defaults', () => {
   const { options, showHelp, showVersion } = parseArgs([
     '--base',
@@ -75,14 +204,61 @@ test('parseArgs supports flags and defaults', () => {
   assert.deepEqual(options, {
     baseDir: '/tmp',
     watch: true,
+    watchFs: false,
+    debounce: 250,
     interval: 5,
     limit: 3,
     minimal: false,
+    json: false,
+    tmux: false,
+    tmuxWidth: null,
+    tmuxStyles: {},
+    prompt: false,
+    promptMaxAge: 30,
+    promptFallback: '',
+    cacheFile: defaultCachePath(),
+    writeCache: false,
+    refreshCache: false,
     formatOrder: null,
     labelOverrides: {},
+    contextWarn: null,
+    pricing: {},
     sound: 'off',
     soundVolume: 100,
     soundReverb: 'default',
+    notify: 'off',
+    notifyBackend: 'auto',
+    notifyCommand: null,
+    notifyFile: null,
+    command: null,
+    session: null,
+    reviewSeverity: null,
+    reviewMinConfidence: null,
+    since: null,
+    sinceText: null,
+    until: null,
+    untilText: null,
+    reportGroup: 'day',
+    csv: false,
+    alerts: [],
+    hooks: [],
+    hookTimeout: 10,
+    cwdFilter: null,
+    modelFilter: null,
+    sandboxFilter: null,
+    approvalFilter: null,
+    searchPattern: null,
+    searchRegex: false,
+    searchIgnoreCase: false,
+    searchMaxResults: 100,
+    transcriptKinds: null,
+    color: 'auto',
+    theme: 'default',
+    colorStyles: {},
+    colorThresholds: {},
+    ascii: null,
+    layout: 'truncate',
+    dropOrder: null,
   });
   assert.equal(showHelp, false);
   assert.equal(showVersion, false);
@@ -387,225 +563,190 @@ test('runWatch renders rate limit resets as time or date', async () => {
   assert.match(weekly, /🗓\d+%\/\d{2}\/\d{2}/);
 });
 
-test('parseArgs enables sound flag', () => {
-  const { options } = parseArgs(['--sound']);
-  assert.equal(options.sound, 'some');
-});
-
-test('parseArgs enables sound flag with short form', () => {
-  const { options } = parseArgs(['-s']);
-  assert.equal(options.sound, 'some');
-});
+test('buildReportLines renders one aligned row per session', () => {
+  const now = new Date();
+  const status = {
+    sessions: [
+      {
+        log: { path: '/s/rollout-2025-10-27T19-47-56-0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b.jsonl', mtime: now },
+        lastContext: { model: 'gpt-5-codex', cwd: '/tmp/alpha' },
+        lastTokenCount: { info: { last_token_usage: { total_tokens: 1234 } } },
+      },
+      {
+        log: { path: '/s/rollout-2025-10-27T19-48-30-0199a1b2-5e6f-7a8b-9c0d-7f8e9d0c0299.jsonl', mtime: now },
+        lastContext: { model: 'gpt-5', cwd: '/tmp/b' },
+        lastTokenCount: { info: { last_token_usage: { total_tokens: 5 } } },
+      },
+    ],
+  };
 
-test('parseArgs accepts sound mode values', () => {
-  const { options: opt1 } = parseArgs(['--sound=all']);
-  assert.equal(opt1.sound, 'all');
-  
-  const { options: opt2 } = parseArgs(['--sound=some']);
-  assert.equal(opt2.sound, 'some');
-  
-  const { options: opt3 } = parseArgs(['--sound=assistant']);
-  assert.equal(opt3.sound, 'assistant');
-  
-  const { options: opt4 } = parseArgs(['--sound', 'some']);
-  assert.equal(opt4.sound, 'some');
+  const lines = buildReportLines(status, { formatOrder: ['recent', 'model', 'directory'] });
+  assert.equal(lines.length, 2);
+  assert.equal(lines[0], '#1 3e4f5a6b 🔄1.2K 🤖5-codex 📁tmp/alpha');
+  assert.equal(lines[1], '#2 9d0c0299 🔄5    🤖5       📁tmp/b');
 });
 
-test('parseArgs rejects invalid sound modes', () => {
-  assert.throws(() => {
-    parseArgs(['--sound=invalid']);
-  }, /Sound mode must be one of: all, some, assistant/);
+test('buildReportLines keeps the single-session line unchanged', () => {
+  const detail = {
+    log: { path: '/s/rollout-x.jsonl', mtime: new Date() },
+    lastContext: { model: 'gpt-test-model' },
+  };
+  const options = { formatOrder: ['model'] };
+  assert.deepEqual(buildReportLines({ sessions: [detail] }, options), [formatSessionSummary(detail, options)]);
 });
 
-test('parseArgs accepts sound volume', () => {
-  const { options: opt1 } = parseArgs(['--sound-volume=50']);
-  assert.equal(opt1.soundVolume, 50);
-  
-  const { options: opt2 } = parseArgs(['--sound-volume', '75']);
-  assert.equal(opt2.soundVolume, 75);
-  
-  const { options: opt3 } = parseArgs(['--sound-volume=1']);
-  assert.equal(opt3.soundVolume, 1);
-  
-  const { options: opt4 } = parseArgs(['--sound-volume=100']);
-  assert.equal(opt4.soundVolume, 100);
-});
+test('renderReport fit and wrap layouts keep fields whole', () => {
+  const detail = (id, model, cwd, daily) => ({
+    log: { path: `/s/rollout-2025-10-27T10-00-00-11111111-1111-1111-1111-1111${id}1111111.jsonl`, mtime: new Date() },
+    lastActivity: 'tool',
+    lastContext: { model, cwd, approval_policy: 'on-request' },
+    lastTokenCount: { rate_limits: { primary: { used_percent: daily } } },
+  });
+  const one = { sessions: [detail(1, 'gpt-5-codex', '/srv/work/projects/app', 42)] };
+  const formatOrder = ['activity', 'daily', 'model', 'approval', 'directory'];
+
+  assert.equal(renderReport(one, { formatOrder, layout: 'truncate' }, 30), '💭🔧 🕔42%/n/a 🤖5-codex 🛂on-');
+  assert.equal(renderReport(one, { formatOrder, layout: 'fit' }, 40), '💭🔧 🕔42%/n/a 🤖5-codex 🛂on-request');
+  assert.equal(renderReport(one, { formatOrder, layout: 'fit' }, 14), '💭🔧 🕔42%/n/a');
+  assert.equal(
+    renderReport(one, { formatOrder, layout: 'fit', dropOrder: ['daily'] }, 28),
+    '💭🔧 🤖5-codex 🛂on-request'
+  );
+  assert.equal(
+    renderReport(one, { formatOrder, layout: 'wrap' }, 24),
+    '💭🔧 🕔42%/n/a 🤖5-codex\n🛂on-request\n📁srv/work/projects/app'
+  );
+  assert.equal(
+    renderReport(one, { formatOrder: ['directory'], layout: 'wrap' }, 16),
+    '📁…/projects/app'
+  );
+
+  const two = { sessions: [one.sessions[0], detail(2, 'gpt-5', '/srv/lib', 7)] };
+  assert.equal(
+    renderReport(two, { formatOrder, layout: 'fit' }, 40),
+    '#1 11111111 💭🔧 🕔42%/n/a 🤖5-codex\n#2 21111111 💭🔧 🕔7%/n/a  🤖5'
+  );
+  assert.deepEqual(renderReport(two, { formatOrder, layout: 'wrap' }, 40).split('\n'), [
+    '#1 11111111 💭🔧 🕔42%/n/a 🤖5-codex',
+    '            🛂on-request',
+    '            📁srv/work/projects/app',
+    '#2 21111111 💭🔧 🕔7%/n/a  🤖5',
+    '            🛂on-request',
+    '            📁srv/lib',
+  ]);
 
-test('parseArgs rejects invalid sound volume', () => {
-  assert.throws(() => {
-    parseArgs(['--sound-volume=0']);
-  }, /Sound volume must be an integer between 1 and 100/);
-  
-  assert.throws(() => {
-    parseArgs(['--sound-volume=101']);
-  }, /Sound volume must be an integer between 1 and 100/);
-  
-  assert.throws(() => {
-    parseArgs(['--sound-volume=50.5']);
-  }, /Sound volume must be an integer between 1 and 100/);
+  // Too narrow for the full tag: rows keep their index, then lose the tag,
+  // rather than printing a tag with nothing after it.
+  assert.equal(renderReport(two, { formatOrder, layout: 'truncate' }, 12), '#1 💭🔧 🕔42\n#2 💭🔧 🕔7%');
+  assert.equal(renderReport(two, { formatOrder, layout: 'fit' }, 12), '#1 💭🔧\n#2 💭🔧');
+  assert.deepEqual(renderReport(two, { formatOrder, layout: 'wrap' }, 12).split('\n').slice(0, 3), [
+    '#1 💭🔧',
+    '   🕔42%/n/a',
+    '   🤖5-codex',
+  ]);
+  for (const layout of ['truncate', 'fit', 'wrap']) {
+    for (const line of renderReport(two, { formatOrder, layout }, 6).split('\n')) {
+      assert.ok(line.trim() && !line.startsWith('#') && truncateToTerminal(line, 6) === line, `${layout}: ${JSON.stringify(line)}`);
+    }
+  }
 });
 
-test('parseArgs accepts sound reverb', () => {
-  const { options: opt1 } = parseArgs(['--sound-reverb=none']);
-  assert.equal(opt1.soundReverb, 'none');
-  
-  const { options: opt2 } = parseArgs(['--sound-reverb', 'subtle']);
-  assert.equal(opt2.soundReverb, 'subtle');
-  
-  const { options: opt3 } = parseArgs(['--sound-reverb=default']);
-  assert.equal(opt3.soundReverb, 'default');
-  
-  const { options: opt4 } = parseArgs(['--sound-reverb', 'lush']);
-  assert.equal(opt4.soundReverb, 'lush');
+test('parseArgs accepts layout modes and a drop order', () => {
+  const { options } = parseArgs(['--layout', 'wrap', '--drop-order=directory,daily']);
+  assert.equal(options.layout, 'wrap');
+  assert.deepEqual(options.dropOrder, ['directory', 'daily']);
+  assert.throws(() => parseArgs(['--layout', 'squeeze']), /Invalid layout: squeeze/);
 });
 
-test('parseArgs rejects invalid sound reverb', () => {
-  assert.throws(() => {
-    parseArgs(['--sound-reverb=invalid']);
-  }, /Sound reverb must be one of: none, subtle, default, lush/);
-  
-  assert.throws(() => {
-    parseArgs(['--sound-reverb', 'wrong']);
-  }, /Sound reverb must be one of: none, subtle, default, lush/);
-});
+test('runWatch truncates each session row separately', async () => {
+  const fakeStdout = {
+    columns: 14,
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  console.clear = () => {};
+  const status = {
+    sessions: [
+      { log: { path: '/s/a.jsonl', mtime: new Date() }, lastContext: { model: 'gpt-first-model' } },
+      { log: { path: '/s/b.jsonl', mtime: new Date() }, lastContext: { model: 'gpt-second-model' } },
+    ],
+  };
 
-test('readLog captures structured review output even when review_output is null', async () => {
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
   try {
-    const filePath = path.join(tmpDir, 'structured.jsonl');
-    const structured = {
-      findings: [
-        {
-          title: '[P1] Broken flow',
-          body: 'Routing loses nested product data.',
-          priority: 1,
-          confidence_score: 0.6,
-          code_location: {
-            absolute_file_path: 'src/app.dart',
-            line_range: { start: 10, end: 14 },
-          },
-        },
-      ],
-      overall_correctness: 'patch is incorrect',
-      overall_explanation: 'Breaks deep link handling.',
-      overall_confidence_score: 0.6,
-    };
-
-    const entries = [
-      JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', type: 'turn_context', payload: {} }),
-      JSON.stringify({ timestamp: '2025-01-01T00:00:01.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } }),
-      JSON.stringify({
-        timestamp: '2025-01-01T00:00:02.000Z',
-        type: 'event_msg',
-        payload: {
-          type: 'agent_message',
-          message: JSON.stringify(structured),
-        },
-      }),
-      JSON.stringify({
-        timestamp: '2025-01-01T00:00:03.000Z',
-        type: 'event_msg',
-        payload: {
-          type: 'exited_review_mode',
-          review_output: null,
-        },
-      }),
-    ];
-
-    fs.writeFileSync(filePath, `${entries.join('\n')}\n`);
-    const info = await readLog(filePath);
-    assert.ok(info.lastReview, 'expected lastReview to be captured');
-    assert.equal(info.lastReview.overallCorrectness, 'patch is incorrect');
-    assert.equal(info.lastReview.verdict, 'incorrect');
-    assert.equal(info.lastReview.findings.length, 1);
-    assert.equal(info.lastReview.findings[0].location.file, 'src/app.dart');
-    assert.equal(info.lastActivity, 'review');
+    await runWatch({ baseDir: '.', interval: 5, limit: 2, formatOrder: ['model'], sound: 'off' }, fakeStdout, {
+      gatherStatuses: async () => status,
+      setIntervalFn: () => {},
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
   } finally {
-    fs.rmSync(tmpDir, { recursive: true, force: true });
+    console.clear = originalClear;
   }
-});
 
-test('readLog falls back to user_action review results when structured data is missing', async () => {
-  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
-  try {
-    const filePath = path.join(tmpDir, 'user-action.jsonl');
-    const userAction = `<user_action>\n  <action>review</action>\n  <results>\n  Looks good to me.\n  </results>\n</user_action>`;
+  const rows = fakeStdout.writes[0].trimEnd().split('\n');
+  assert.deepEqual(rows, ['#1 🤖first-mod', '#2 🤖second-mo']);
+});
 
-    const entries = [
-      JSON.stringify({ timestamp: '2025-02-01T00:00:00.000Z', type: 'turn_context', payload: {} }),
-      JSON.stringify({ timestamp: '2025-02-01T00:00:01.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } }),
-      JSON.stringify({
-        timestamp: '2025-02-01T00:00:02.000Z',
-        type: 'event_msg',
-        payload: {
-          type: 'exited_review_mode',
-          review_output: null,
+test('buildJsonReport describes sessions with the versioned schema', () => {
+  const now = Date.UTC(2025, 0, 1, 12, 0, 0);
+  const status = {
+    sessions: [{
+      log: { path: '/s/rollout-2025-01-01T00-00-00-0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b.jsonl', mtime: new Date(now) },
+      lastContext: {
+        model: 'gpt-5-codex',
+        cwd: '/tmp/project',
+        approval_policy: 'on-request',
+        sandbox_policy: { mode: 'workspace-write', network_access: false },
+      },
+      lastTokenCount: {
+        info: {
+          last_token_usage: { input_tokens: 100, cached_input_tokens: 40, output_tokens: 20, reasoning_output_tokens: 5, total_tokens: 120 },
+          total_token_usage: { input_tokens: 1000, total_tokens: 1500 },
+          model_context_window: 272000,
         },
-      }),
-      JSON.stringify({
-        timestamp: '2025-02-01T00:00:03.000Z',
-        type: 'response_item',
-        payload: {
-          type: 'message',
-          role: 'user',
-          content: [{ type: 'input_text', text: userAction }],
+        rate_limits: {
+          primary: { used_percent: 12, window_minutes: 300, resets_in_seconds: 60 },
         },
-      }),
-    ];
-
-    fs.writeFileSync(filePath, `${entries.join('\n')}\n`);
-    const info = await readLog(filePath);
-    assert.ok(info.lastReview, 'expected fallback review to be captured');
-    assert.equal(info.lastReview.source, 'user_action');
-    assert.equal(info.lastReview.summary, 'Looks good to me.');
-    assert.equal(info.lastReview.overallExplanation, 'Looks good to me.');
-    assert.equal(info.lastReview.findings.length, 0);
-    assert.equal(info.lastActivity, 'review');
-  } finally {
-    fs.rmSync(tmpDir, { recursive: true, force: true });
-  }
-});
-
-test('playAlertSound calls platform-specific command', () => {
-  const calls = [];
-  const mockSpawn = (cmd, args, opts) => {
-    calls.push({ cmd, args, opts });
-    return {
-      on: () => {},
-    };
-  };
-
-  playAlertSound('user', 'all', 100, 'default', { spawn: mockSpawn, platform: 'darwin', tmpdir: '/tmp' });
-  assert.equal(calls.length, 1);
-  assert.equal(calls[0].cmd, 'afplay');
-  assert.ok(calls[0].args[0].startsWith('/tmp/codex-beep-')); // temp file path
-  assert.ok(calls[0].args[0].endsWith('.wav'));
-});
-
-test('playAlertSound handles different platforms', () => {
-  const mockProcess = {
-    stdin: { write: () => {}, end: () => {} },
-    on: () => {},
+      },
+      lastTimestamp: new Date(now - 1000),
+      lastActivity: 'assistant',
+    }],
   };
 
-  const darwinCalls = [];
-  playAlertSound('user', 'all', 100, 'default', {
-    spawn: (cmd, args) => { darwinCalls.push(cmd); return mockProcess; },
-    platform: 'darwin',
-    tmpdir: '/tmp',
+  const report = buildJsonReport(status, now);
+  assert.equal(report.schemaVersion, 1);
+  assert.equal(report.generatedAt, '2025-01-01T12:00:00.000Z');
+  assert.equal(report.error, null);
+  const [session] = report.sessions;
+  assert.equal(session.id, '0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b');
+  assert.equal(session.activity, 'assistant');
+  assert.equal(session.lastEventAt, '2025-01-01T11:59:59.000Z');
+  assert.deepEqual(session.context, {
+    model: 'gpt-5-codex',
+    cwd: '/tmp/project',
+    approvalPolicy: 'on-request',
+    sandbox: { mode: 'workspace-write', networkAccess: false },
   });
-  assert.equal(darwinCalls[0], 'afplay');
-
-  const linuxCalls = [];
-  playAlertSound('tool', 'all', 100, 'default', {
-    spawn: (cmd, args) => { linuxCalls.push(cmd); return mockProcess; },
-    platform: 'linux',
-    tmpdir: '/tmp',
+  assert.deepEqual(session.tokens.last, { input: 100, cachedInput: 40, output: 20, reasoningOutput: 5, total: 120 });
+  assert.equal(session.tokens.total.output, null);
+  assert.equal(session.tokens.modelContextWindow, 272000);
+  assert.equal(session.tokens.contextUsedPercent, 0);
+  assert.deepEqual(session.rateLimits.primary, {
+    usedPercent: 12,
+    windowMinutes: 300,
+    resetsInSeconds: 60,
+    resetsAt: '2025-01-01T12:01:00.000Z',
   });
-  assert.equal(linuxCalls[0], 'aplay'); // Linux tries aplay first
+  assert.equal(session.rateLimits.secondary, null);
+  assert.equal(session.review, null);
+
+  assert.deepEqual(buildJsonReport({ error: 'No rollout logs found in /x' }, now).sessions, []);
 });
 
-test('runWatch plays sound when new activity appears', async () => {
+test('runWatch json mode prints one NDJSON document per refresh without clearing', async () => {
   const fakeStdout = {
     columns: 120,
     writes: [],
@@ -614,7 +755,1708 @@ test('runWatch plays sound when new activity appears', async () => {
     },
   };
   const originalClear = console.clear;
-  console.clear = () => {};
+  let clears = 0;
+  console.clear = () => { clears += 1; };
+  const intervals = [];
+  const mockStdin = createMockStdin({ isTTY: true });
+
+  try {
+    await runWatch({ baseDir: '.', interval: 5, limit: 1, json: true, sound: 'some' }, fakeStdout, {
+      gatherStatuses: async () => ({
+        sessions: [{ log: { mtime: new Date() }, lastContext: { model: 'gpt-test' } }],
+      }),
+      setIntervalFn: (fn) => intervals.push(fn),
+      stdin: mockStdin,
+      processObject: createMockProcess(),
+    });
+    await intervals[0]();
+    mockStdin.emit('keypress', 'm', { name: 'm' });
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.clear = originalClear;
+  }
+
+  assert.equal(clears, 0);
+  assert.equal(fakeStdout.writes.length, 2);
+  for (const line of fakeStdout.writes) {
+    assert.ok(line.endsWith('\n'));
+    assert.equal(line.trimEnd().includes('\n'), false);
+    assert.equal(JSON.parse(line).sessions[0].context.model, 'gpt-test');
+  }
+});
+
+test('parseArgs enables filesystem watching', () => {
+  const { options } = parseArgs(['--watch-fs', '--debounce', '100']);
+  assert.equal(options.watch, true);
+  assert.equal(options.watchFs, true);
+  assert.equal(options.debounce, 100);
+  assert.throws(() => parseArgs(['--debounce', '-5']), /Debounce must be a non-negative integer/);
+});
+
+test('runWatch redraws after a debounced filesystem change', async () => {
+  const watchers = [];
+  const missing = new Set([path.resolve('/sessions/2025/01/02')]);
+  const watchFn = (target, watchOptions, listener) => {
+    if (missing.has(target)) throw Object.assign(new Error('ENOENT'), { code: 'ENOENT' });
+    const watcher = new EventEmitter();
+    watcher.target = target;
+    watcher.options = watchOptions;
+    watcher.listener = listener;
+    watcher.closed = false;
+    watcher.close = () => { watcher.closed = true; };
+    watchers.push(watcher);
+    return watcher;
+  };
+  const timers = [];
+  const cleared = [];
+  const setTimeoutFn = (fn, ms) => {
+    const timer = { fn, ms };
+    timers.push(timer);
+    return timer;
+  };
+  const clearTimeoutFn = (timer) => cleared.push(timer);
+
+  let gatherCount = 0;
+  const activePaths = ['/sessions/2025/01/01/rollout-a.jsonl', '/sessions/2025/01/02/rollout-b.jsonl'];
+  const gather = async () => {
+    const filePath = activePaths[Math.min(gatherCount, activePaths.length - 1)];
+    gatherCount += 1;
+    return { sessions: [{ log: { path: filePath, mtime: new Date() }, lastContext: {} }] };
+  };
+  const intervals = [];
+  let clock = new Date(2025, 0, 2, 23, 59).getTime();
+  const originalClear = console.clear;
+  console.clear = () => {};
+
+  try {
+    await runWatch({ baseDir: '/sessions', interval: 15, limit: 1, sound: 'off', watchFs: true, debounce: 200 }, {
+      columns: 80,
+      write: () => {},
+    }, {
+      gatherStatuses: gather,
+      setIntervalFn: (fn) => intervals.push(fn),
+      setTimeoutFn,
+      clearTimeoutFn,
+      watchFn,
+      now: () => clock,
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
+
+    assert.equal(gatherCount, 1);
+    assert.equal(intervals.length, 1, 'interval is kept as a fallback');
+    const openDirs = () => watchers
+      .filter((watcher) => !watcher.closed && !watcher.target.endsWith('.jsonl'))
+      .map((watcher) => watcher.target);
+    // Only the base folder and today's date folders are watched, none of them
+    // recursively; today's folder does not exist yet.
+    assert.deepEqual(openDirs(), ['/sessions', '/sessions/2025', '/sessions/2025/01'].map((dir) => path.resolve(dir)));
+    assert.ok(watchers.every((watcher) => !watcher.options.recursive));
+    assert.ok(watchers.some((watcher) => watcher.target === activePaths[0]));
+    const month = watchers.find((watcher) => watcher.target === path.resolve('/sessions/2025/01'));
+
+    month.listener('change', 'notes.txt');
+    assert.equal(timers.length, 0, 'non-rollout files are ignored');
+
+    // Codex creates today's folder: it is watched from then on, and a burst
+    // of events collapses into a single redraw.
+    missing.clear();
+    month.listener('rename', '02');
+    const day = watchers.find((watcher) => watcher.target === path.resolve('/sessions/2025/01/02'));
+    assert.ok(day);
+    day.listener('rename', 'rollout-b.jsonl');
+    assert.equal(timers.length, 2);
+    assert.deepEqual(cleared, [timers[0]]);
+    assert.equal(timers[1].ms, 200);
+    timers[1].fn();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(gatherCount, 2);
+
+    // The watcher follows the newly active rollout file.
+    const oldFileWatcher = watchers.find((watcher) => watcher.target === activePaths[0]);
+    assert.equal(oldFileWatcher.closed, true);
+    const newFileWatcher = watchers.find((watcher) => watcher.target === activePaths[1]);
+    assert.ok(newFileWatcher);
+    newFileWatcher.listener('change', 'rollout-b.jsonl');
+    timers[timers.length - 1].fn();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(gatherCount, 3);
+
+    // After midnight the next refresh moves on to the new day's folder.
+    clock = new Date(2025, 0, 3, 0, 1).getTime();
+    intervals[0]();
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.equal(day.closed, true);
+    assert.deepEqual(
+      openDirs(),
+      ['/sessions', '/sessions/2025', '/sessions/2025/01', '/sessions/2025/01/03'].map((dir) => path.resolve(dir))
+    );
+  } finally {
+    console.clear = originalClear;
+  }
+});
+
+test('parseArgs loads defaults and profiles from the config file', () => {
+  const config = {
+    format: ['model', 'daily'],
+    overrides: { model: 'M:' },
+    sound: 'assistant',
+    soundVolume: 40,
+    profiles: {
+      tmux: { minimal: true, format: 'daily,weekly', overrides: { cwd: 'D:' } },
+    },
+  };
+  const loaded = [];
+  const loadConfig = (filePath) => {
+    loaded.push(filePath);
+    return config;
+  };
+
+  const { options } = parseArgs([], { loadConfig, env: { XDG_CONFIG_HOME: '/xdg' } });
+  assert.deepEqual(loaded, [path.join('/xdg', 'codex-status', 'config.json')]);
+  assert.deepEqual(options.formatOrder, ['model', 'daily']);
+  assert.deepEqual(options.labelOverrides, { model: 'M:' });
+  assert.equal(options.sound, 'assistant');
+  assert.equal(options.soundVolume, 40);
+  assert.equal(options.minimal, false);
+
+  const { options: profiled } = parseArgs(['--profile', 'tmux', '--sound-volume=90', '--override-model', 'X'], { loadConfig });
+  assert.equal(profiled.minimal, true);
+  assert.deepEqual(profiled.formatOrder, ['daily', 'weekly']);
+  assert.deepEqual(profiled.labelOverrides, { model: 'X', directory: 'D:' });
+  assert.equal(profiled.soundVolume, 90);
+});
+
+test('parseArgs lets --no-* flags and off modes override config booleans', () => {
+  const loadConfig = () => ({ watchFs: true, json: true, minimal: true, tmux: true, sound: 'all', notify: true });
+  const { options: fromConfig } = parseArgs([], { loadConfig });
+  assert.equal(fromConfig.watch, true);
+  assert.equal(fromConfig.sound, 'all');
+  assert.equal(fromConfig.notify, 'assistant');
+
+  const { options } = parseArgs(['--no-watch', '--no-json', '--no-minimal', '--no-tmux', '--no-sound', '--no-notify'], { loadConfig });
+  assert.equal(options.watch, false);
+  assert.equal(options.watchFs, false);
+  assert.equal(options.json, false);
+  assert.equal(options.minimal, false);
+  assert.equal(options.tmux, false);
+  assert.equal(options.sound, 'off');
+  assert.equal(options.notify, 'off');
+
+  assert.equal(parseArgs(['--sound', 'off'], { loadConfig }).options.sound, 'off');
+  assert.equal(parseArgs(['--sound=off'], { loadConfig }).options.sound, 'off');
+  assert.equal(parseArgs(['-s', 'off', '--watch'], { loadConfig }).options.watch, true);
+  assert.equal(parseArgs(['--notify', 'off'], { loadConfig }).options.notify, 'off');
+  assert.equal(parseArgs(['--no-watch', '--watch'], { loadConfig }).options.watch, true);
+});
+
+test('parseArgs reports config errors with the flag validators messages', () => {
+  const withConfig = (config) => ({ loadConfig: () => config });
+  assert.throws(() => parseArgs([], withConfig({ format: 'model,bogus' })), /Invalid config .*: Unknown field in format: bogus/);
+  assert.throws(() => parseArgs([], withConfig({ sound: 'loud' })), /Sound mode must be one of: all, some, assistant/);
+  assert.throws(() => parseArgs([], withConfig({ soundVolume: 101 })), /Sound volume must be an integer between 1 and 100/);
+  assert.throws(() => parseArgs([], withConfig({ soundReverb: 'cave' })), /Sound reverb must be one of: none, subtle, default, lush/);
+  assert.throws(() => parseArgs([], withConfig({ colour: true })), /unknown key colour/);
+  assert.throws(() => parseArgs(['-p', 'missing'], withConfig({})), /Unknown profile: missing/);
+  assert.throws(() => parseArgs(['--config', '/nope.json'], { loadConfig: () => null }), /Config file not found: \/nope.json/);
+  assert.throws(() => parseArgs(['--no-config', '--profile', 'tmux']), /--no-config cannot be combined/);
+});
+
+test('parseArgs skips the config file with --no-config', () => {
+  let called = false;
+  const { options } = parseArgs(['--no-config'], { loadConfig: () => { called = true; return { minimal: true }; } });
+  assert.equal(called, false);
+  assert.equal(options.minimal, false);
+});
+
+test('defaultConfigPath falls back to ~/.config', () => {
+  assert.equal(defaultConfigPath({}), path.join(os.homedir(), '.config', 'codex-status', 'config.json'));
+});
+
+test('parseArgs captures tmux mode, width and styles', () => {
+  const { options } = parseArgs(['--tmux', '--tmux-width=40', '--tmux-style', 'primary=fg=yellow,bold', '--tmux-style=cwd=dim']);
+  assert.equal(options.tmux, true);
+  assert.equal(options.tmuxWidth, 40);
+  assert.deepEqual(options.tmuxStyles, { daily: 'fg=yellow,bold', directory: 'dim' });
+  assert.throws(() => parseArgs(['--tmux-style', 'daily']), /Tmux style must look like <field>=<style>/);
+  assert.throws(() => parseArgs(['--tmux-style', 'nope=fg=red']), /Unknown tmux style field: nope/);
+  assert.throws(() => parseArgs(['--tmux-width', '0']), /Tmux width must be a positive integer/);
+});
+
+test('tmuxCodePointWidth counts text-presentation pictographs as one cell', () => {
+  assert.equal(tmuxCodePointWidth('🗓'.codePointAt(0)), 1);
+  assert.equal(tmuxCodePointWidth('🕔'.codePointAt(0)), 2);
+  assert.equal(tmuxCodePointWidth('a'.codePointAt(0)), 1);
+  assert.equal(tmuxCodePointWidth('漢'.codePointAt(0)), 2);
+});
+
+test('formatTmuxLine styles fields, escapes # and respects the width budget', () => {
+  const status = {
+    sessions: [{
+      log: { mtime: new Date() },
+      lastContext: { model: 'gpt-5#1', cwd: '/tmp/project' },
+      lastTokenCount: {
+        rate_limits: { secondary: { used_percent: 34 } },
+      },
+    }],
+  };
+  const options = {
+    formatOrder: ['model', 'weekly', 'directory'],
+    tmuxStyles: { weekly: 'fg=yellow' },
+  };
+
+  assert.equal(formatTmuxLine(status, options), '🤖5##1 #[fg=yellow]🗓34%/n/a#[default] 📁tmp/project');
+  // 🤖 is two cells and 🗓 one, so 12 columns end inside the weekly field.
+  assert.equal(formatTmuxLine(status, { ...options, tmuxWidth: 12 }), '🤖5##1 #[fg=yellow]🗓34%/n#[default]');
+  assert.equal(formatTmuxLine({ error: 'No rollout logs\nfound' }, options), 'No rollout logs found');
+});
+
+test('runWatch tmux mode writes single lines without clearing', async () => {
+  const fakeStdout = {
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  let clears = 0;
+  console.clear = () => { clears += 1; };
+  try {
+    await runWatch({ baseDir: '.', interval: 5, limit: 2, tmux: true, formatOrder: ['model'], sound: 'off' }, fakeStdout, {
+      gatherStatuses: async () => ({
+        sessions: [
+          { log: { mtime: new Date() }, lastContext: { model: 'gpt-a' } },
+          { log: { mtime: new Date() }, lastContext: { model: 'gpt-b' } },
+        ],
+      }),
+      setIntervalFn: () => {},
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
+  } finally {
+    console.clear = originalClear;
+  }
+  assert.equal(clears, 0);
+  assert.deepEqual(fakeStdout.writes, ['🤖a | 🤖b\n']);
+});
+
+test('parseArgs captures prompt mode settings', () => {
+  const { options } = parseArgs(['--prompt', '--prompt-max-age', '5', '--prompt-fallback=codex?', '--cache-file', '/tmp/c.json']);
+  assert.equal(options.prompt, true);
+  assert.equal(options.promptMaxAge, 5);
+  assert.equal(options.promptFallback, 'codex?');
+  assert.equal(options.cacheFile, '/tmp/c.json');
+  assert.equal(options.writeCache, false);
+  assert.equal(parseArgs(['--watch']).options.writeCache, false);
+  assert.equal(parseArgs(['--watch', '--write-cache']).options.writeCache, true);
+  const fromConfig = parseArgs([], { loadConfig: () => ({ cacheFile: '/tmp/d.json' }) }).options;
+  assert.equal(fromConfig.cacheFile, '/tmp/d.json');
+  assert.equal(fromConfig.writeCache, false);
+  const writeFromConfig = () => ({ writeCache: true });
+  assert.equal(parseArgs([], { loadConfig: writeFromConfig }).options.writeCache, true);
+  assert.equal(parseArgs(['--no-write-cache'], { loadConfig: writeFromConfig }).options.writeCache, false);
+  assert.equal(defaultCachePath({ XDG_CACHE_HOME: '/xdg-cache' }), path.join('/xdg-cache', 'codex-status', 'status.json'));
+  assert.throws(() => parseArgs(['--prompt-max-age', '0']), /Prompt max age must be a positive number/);
+});
+
+test('status cache round-trips session details', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const cachePath = path.join(tmpDir, 'nested', 'status.json');
+    const mtime = new Date('2025-04-01T10:00:00.000Z');
+    await writeStatusCache(cachePath, '/sessions', {
+      sessions: [{
+        log: { path: '/sessions/rollout-a.jsonl', mtime },
+        lastContext: { model: 'gpt-5' },
+        lastTimestamp: mtime,
+        lastActivity: 'tool',
+        lastReview: { verdict: 'correct', findings: [], raw: { huge: true }, timestamp: mtime },
+      }],
+    }, 1234);
+
+    const cached = readStatusCache(cachePath);
+    assert.equal(cached.writtenAt, 1234);
+    assert.equal(cached.baseDir, '/sessions');
+    const [detail] = cached.status.sessions;
+    assert.equal(detail.log.mtime.getTime(), mtime.getTime());
+    assert.equal(detail.lastTimestamp.getTime(), mtime.getTime());
+    assert.equal(detail.lastReview.timestamp.getTime(), mtime.getTime());
+    assert.equal(detail.lastReview.raw, undefined);
+    assert.equal(detail.lastActivity, 'tool');
+    assert.equal(readStatusCache(path.join(tmpDir, 'missing.json')), null);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runPrompt prints fresh cached data and falls back when stale', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const cacheFile = path.join(tmpDir, 'status.json');
+    const baseDir = path.join(tmpDir, 'sessions');
+    const now = Date.now();
+    await writeStatusCache(cacheFile, baseDir, {
+      sessions: [{
+        log: { path: path.join(baseDir, 'rollout-a.jsonl'), mtime: new Date(now) },
+        lastContext: { model: 'gpt-5' },
+        lastActivity: 'assistant',
+        lastTokenCount: { rate_limits: { primary: { used_percent: 40 } } },
+      }],
+    }, now - 10 * 1000);
+
+    const spawned = [];
+    const deps = {
+      now: () => now,
+      spawn: (cmd, args, opts) => {
+        spawned.push({ cmd, args, opts });
+        return { on: () => {}, unref: () => {} };
+      },
+    };
+    const options = { baseDir, cacheFile, promptMaxAge: 30, promptFallback: '…', formatOrder: null };
+
+    const fresh = { text: '', write(chunk) { this.text += chunk; } };
+    await runPrompt(options, fresh, deps);
+    assert.equal(fresh.text, '💭⁉️ 🕔40%/n/a\n');
+    assert.equal(spawned.length, 0);
+
+    const stale = { text: '', write(chunk) { this.text += chunk; } };
+    await runPrompt({ ...options, promptMaxAge: 5 }, stale, deps);
+    assert.equal(stale.text, '…\n');
+    assert.equal(spawned.length, 1);
+    assert.ok(spawned[0].args.includes('--refresh-cache'));
+    assert.equal(spawned[0].opts.detached, true);
+
+    // A refresh is already running, so a second stale prompt does not spawn another.
+    await runPrompt({ ...options, promptMaxAge: 5 }, stale, deps);
+    assert.equal(spawned.length, 1);
+
+    const otherBase = { text: '', write(chunk) { this.text += chunk; } };
+    await runPrompt({ ...options, baseDir: path.join(tmpDir, 'elsewhere') }, otherBase, deps);
+    assert.equal(otherBase.text, '…\n');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runPrompt keeps a separate cache per directory filter', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const cacheFile = path.join(tmpDir, 'status.json');
+    const baseDir = path.join(tmpDir, 'sessions');
+    const now = Date.now();
+    await writeStatusCache(cacheFile, baseDir, {
+      sessions: [{ log: { mtime: new Date(now) }, lastContext: {}, lastActivity: 'tool' }],
+    }, now);
+
+    const spawned = [];
+    const deps = {
+      now: () => now,
+      spawn: (cmd, args) => {
+        spawned.push(args);
+        return { on: () => {}, unref: () => {} };
+      },
+    };
+    const options = { baseDir, cacheFile, cwdFilter: '/work/app', promptMaxAge: 30, promptFallback: '…', formatOrder: null };
+    const out = { text: '', write(chunk) { this.text += chunk; } };
+    await runPrompt(options, out, deps);
+    assert.equal(out.text, '…\n');
+    assert.deepEqual(spawned[0].slice(-4), ['--cache-file', cacheFile, '--cwd', '/work/app']);
+
+    const lockFiles = fs.readdirSync(tmpDir).filter((name) => name.endsWith('.lock'));
+    assert.equal(lockFiles.length, 1);
+    assert.match(lockFiles[0], /^status\.[0-9a-f]{10}\.json\.lock$/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('gatherStatuses filters sessions by working directory before the limit', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '03', '01');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const writeSession = (name, cwd, ageSeconds, { metaOnly = false } = {}) => {
+      const filePath = path.join(dayDir, name);
+      const records = [{ type: 'session_meta', payload: { cwd } }];
+      if (!metaOnly) records.push({ type: 'turn_context', payload: { cwd, model: 'gpt-5' } });
+      fs.writeFileSync(filePath, `${records.map((record) => JSON.stringify(record)).join('\n')}\n`);
+      const mtime = new Date(Date.now() - ageSeconds * 1000);
+      fs.utimesSync(filePath, mtime, mtime);
+    };
+    writeSession('rollout-newest.jsonl', '/work/lib', 10);
+    writeSession('rollout-app-sub.jsonl', '/work/app/packages/ui', 20);
+    writeSession('rollout-app-prefix.jsonl', '/work/application', 30);
+    writeSession('rollout-app.jsonl', '/work/app', 40);
+    writeSession('rollout-app-starting.jsonl', '/work/app', 50, { metaOnly: true });
+
+    const status = await gatherStatuses(tmpDir, 2, { filter: { cwd: '/work/app' } });
+    assert.deepEqual(status.sessions.map((detail) => path.basename(detail.log.path)), [
+      'rollout-app-sub.jsonl',
+      'rollout-app.jsonl',
+    ]);
+
+    const all = await gatherStatuses(tmpDir, 10, { filter: { cwd: '/work/app' } });
+    assert.equal(all.sessions.length, 3);
+    assert.equal(path.basename(all.sessions[2].log.path), 'rollout-app-starting.jsonl');
+
+    // A session that moved on is filtered by the directory it shows now
+    fs.appendFileSync(path.join(dayDir, 'rollout-app.jsonl'), `${JSON.stringify({ type: 'turn_context', payload: { cwd: '/work/lib' } })}\n`);
+    const moved = await gatherStatuses(tmpDir, 10, { filter: { cwd: '/work/lib' } });
+    assert.deepEqual(moved.sessions.map((detail) => path.basename(detail.log.path)), [
+      'rollout-app.jsonl',
+      'rollout-newest.jsonl',
+    ]);
+    assert.equal(moved.sessions[0].lastContext.cwd, '/work/lib');
+
+    const none = await gatherStatuses(tmpDir, 1, { filter: { cwd: '/elsewhere' } });
+    assert.equal(none.error, `No rollout logs matching cwd /elsewhere found in ${tmpDir}`);
+
+    const { options } = parseArgs(['--cwd', '/work/app/', '--limit', '2']);
+    assert.equal(options.cwdFilter, '/work/app');
+    assert.equal(parseArgs(['--here'], { cwd: '/work/lib' }).options.cwdFilter, '/work/lib');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('session filters read the newest turn_context from the tail of large logs', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '03', '01');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const line = (record) => `${JSON.stringify(record)}\n`;
+    const turn = (cwd, model) => line({ type: 'turn_context', payload: { cwd, model } });
+    const filler = (kilobytes) => line({ type: 'response_item', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'x'.repeat(kilobytes * 1024) }] } });
+    const writeSession = (name, text, ageSeconds) => {
+      const filePath = path.join(dayDir, name);
+      fs.writeFileSync(filePath, text);
+      const mtime = new Date(Date.now() - ageSeconds * 1000);
+      fs.utimesSync(filePath, mtime, mtime);
+      return filePath;
+    };
+    // The newest turn sits behind more than one read chunk of output, and
+    // the last line is still being written.
+    writeSession('rollout-moved.jsonl', [
+      line({ type: 'session_meta', payload: { cwd: '/work/app' } }),
+      turn('/work/app', 'gpt-5'),
+      filler(100),
+      turn('/work/lib', 'gpt-5-codex'),
+      filler(150),
+      '{"type":"turn_context","payload":{"cwd":"/work/ot',
+    ].join(''), 10);
+    writeSession('rollout-long-line.jsonl', [turn('/work/app', 'gpt-5'), filler(200)].join(''), 20);
+    writeSession('rollout-starting.jsonl', line({ type: 'session_meta', payload: { cwd: '/work/app' } }), 30);
+
+    const names = (status) => (status.sessions || []).map((detail) => path.basename(detail.log.path));
+    assert.deepEqual(names(await gatherStatuses(tmpDir, 10, { filter: { cwd: '/work/lib' } })), ['rollout-moved.jsonl']);
+    assert.deepEqual(names(await gatherStatuses(tmpDir, 10, { filter: { cwd: '/work/app' } })), [
+      'rollout-long-line.jsonl',
+      'rollout-starting.jsonl',
+    ]);
+    assert.deepEqual(names(await gatherStatuses(tmpDir, 10, { filter: { model: 'gpt-5-codex' } })), ['rollout-moved.jsonl']);
+
+    const report = await buildUsageReport(tmpDir, { group: 'cwd', filter: { cwd: '/work/lib' } });
+    assert.deepEqual(report.rows.map((row) => [row.key, row.sessions]), [['/work/lib', 1]]);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('gatherStatuses filters by start date, model glob, sandbox and approval', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const writeSession = (folder, name, context) => {
+      const dir = path.join(tmpDir, ...folder.split('/'));
+      fs.mkdirSync(dir, { recursive: true });
+      const filePath = path.join(dir, name);
+      fs.writeFileSync(filePath, `${JSON.stringify({ type: 'turn_context', payload: context })}\n`);
+      return filePath;
+    };
+    const codex = { model: 'gpt-5-codex', sandbox_policy: { mode: 'workspace-write' }, approval_policy: 'on-request' };
+    writeSession('2025/03/01', 'rollout-2025-03-01T09-00-00-a.jsonl', codex);
+    writeSession('2025/03/02', 'rollout-2025-03-02T09-00-00-b.jsonl', { ...codex, model: 'gpt-5' });
+    writeSession('2025/03/02', 'rollout-2025-03-02T23-30-00-c.jsonl', { ...codex, sandbox_policy: { mode: 'read-only' } });
+    writeSession('2025/03/03', 'rollout-2025-03-03T09-00-00-d.jsonl', { ...codex, approval_policy: 'never' });
+    // Only folder pruning can drop this one: its name claims a date in range.
+    writeSession('2025/02/28', 'rollout-2025-03-02T12-00-00-e.jsonl', codex);
+
+    const names = (status) => status.sessions.map((detail) => path.basename(detail.log.path)).sort();
+    const day = (text, endOfDay = false) => parseArgs([endOfDay ? '--until' : '--since', text]).options[endOfDay ? 'until' : 'since'];
+
+    const march2 = await gatherStatuses(tmpDir, 10, { filter: { since: day('2025-03-02'), until: day('2025-03-02', true) } });
+    assert.deepEqual(names(march2), ['rollout-2025-03-02T09-00-00-b.jsonl', 'rollout-2025-03-02T23-30-00-c.jsonl']);
+
+    const morning = await gatherStatuses(tmpDir, 10, { filter: { since: day('2025-03-02'), until: new Date(2025, 2, 2, 12).getTime() } });
+    assert.deepEqual(names(morning), ['rollout-2025-03-02T09-00-00-b.jsonl']);
+
+    const codexModels = await gatherStatuses(tmpDir, 10, { filter: { since: day('2025-03-01'), model: 'GPT-5-*' } });
+    assert.deepEqual(names(codexModels), [
+      'rollout-2025-03-01T09-00-00-a.jsonl',
+      'rollout-2025-03-02T23-30-00-c.jsonl',
+      'rollout-2025-03-03T09-00-00-d.jsonl',
+    ]);
+
+    const readOnly = await gatherStatuses(tmpDir, 10, { filter: { sandbox: 'read-only' } });
+    assert.deepEqual(names(readOnly), ['rollout-2025-03-02T23-30-00-c.jsonl']);
+
+    const never = await gatherStatuses(tmpDir, 10, { filter: { approval: 'never', model: 'gpt-5?codex' } });
+    assert.deepEqual(names(never), ['rollout-2025-03-03T09-00-00-d.jsonl']);
+
+    const { options } = parseArgs(['--since', '7d', '--model', 'gpt-5*', '--sandbox', 'read-only', '--approval', 'never']);
+    assert.equal(options.sinceText, '7d');
+    assert.equal(options.modelFilter, 'gpt-5*');
+    assert.equal(options.sandboxFilter, 'read-only');
+    assert.equal(options.approvalFilter, 'never');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runPrompt refreshes relative time filters with the text the user typed', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const spawned = [];
+    const deps = {
+      spawn: (cmd, args) => {
+        spawned.push(args);
+        return { on: () => {}, unref: () => {} };
+      },
+    };
+    const cacheFile = path.join(tmpDir, 'status.json');
+    const first = parseArgs(['--prompt', '--since', '2h', '--model', 'gpt-5*', '--cache-file', cacheFile], { loadConfig: () => null }).options;
+    const out = { text: '', write(chunk) { this.text += chunk; } };
+    await runPrompt(first, out, deps);
+    assert.deepEqual(spawned[0].slice(-6), ['--cache-file', cacheFile, '--since', '2h', '--model', 'gpt-5*']);
+
+    // A later prompt resolves "2h" to a different instant but shares the same cache file and lock.
+    const later = { ...first, since: first.since + 60 * 1000 };
+    await runPrompt(later, out, deps);
+    assert.equal(spawned.length, 1);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runWatch re-resolves relative time bounds on every refresh', async () => {
+  const { options } = parseArgs(['--watch', '--since', '2h', '--until', '2030-01-31']);
+  const filters = [];
+  const intervals = [];
+  let clock = Date.UTC(2025, 0, 1, 12, 0, 0);
+  const originalClear = console.clear;
+  console.clear = () => {};
+  try {
+    await runWatch({ ...options, baseDir: '/sessions', sound: 'off' }, { columns: 80, write: () => {} }, {
+      gatherStatuses: async (baseDir, limit, { filter }) => {
+        filters.push(filter);
+        return { sessions: [] };
+      },
+      setIntervalFn: (fn) => intervals.push(fn),
+      now: () => clock,
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
+    clock += 3 * 60 * 60 * 1000;
+    intervals[0]();
+    await new Promise((resolve) => setImmediate(resolve));
+  } finally {
+    console.clear = originalClear;
+  }
+
+  assert.equal(filters.length, 2);
+  assert.equal(filters[0].since, Date.UTC(2025, 0, 1, 10, 0, 0));
+  assert.equal(filters[1].since, Date.UTC(2025, 0, 1, 13, 0, 0));
+  assert.equal(filters[1].until, filters[0].until, 'a calendar day does not move');
+  assert.equal(filters[1].until, new Date(2030, 1, 1).getTime() - 1);
+});
+
+test('runWatch writes the prompt cache after each refresh only when asked to', async () => {
+  const writes = [];
+  const originalClear = console.clear;
+  console.clear = () => {};
+  const status = { sessions: [{ log: { mtime: new Date() }, lastContext: {} }] };
+  const watch = (writeCache) => runWatch({
+    baseDir: '/sessions', interval: 5, limit: 1, sound: 'off', cacheFile: '/tmp/cache.json', writeCache,
+  }, {
+    columns: 80,
+    write: () => {},
+  }, {
+    gatherStatuses: async () => status,
+    writeStatusCache: async (...args) => { writes.push(args); },
+    setIntervalFn: () => {},
+    stdin: createMockStdin(),
+    processObject: createMockProcess(),
+  });
+  try {
+    await watch(false);
+    assert.equal(writes.length, 0);
+    await watch(true);
+  } finally {
+    console.clear = originalClear;
+  }
+  assert.equal(writes.length, 1);
+  assert.deepEqual(writes[0], ['/tmp/cache.json', path.resolve('/sessions'), status]);
+});
+
+test('runWatch records rate-limit samples for the forecast field', async () => {
+  const recorded = [];
+  const rateLimits = { primary: { used_percent: 42, window_minutes: 300, resets_in_seconds: 600 } };
+  const status = { sessions: [{ log: { mtime: new Date() }, lastContext: {}, lastTokenCount: { rate_limits: rateLimits } }] };
+  const options = {
+    baseDir: '/sessions',
+    interval: 5,
+    limit: 1,
+    sound: 'off',
+    tmux: true,
+    formatOrder: ['forecast'],
+    rateHistory: { record: (limits) => recorded.push(limits), rate: () => 1 },
+  };
+  const writes = [];
+  await runWatch(options, { write: (chunk) => writes.push(chunk) }, {
+    gatherStatuses: async () => status,
+    setIntervalFn: () => {},
+    stdin: createMockStdin(),
+    processObject: createMockProcess(),
+  });
+  assert.deepEqual(recorded, [rateLimits]);
+  // 58% left at the recorded 1%/s runs out in 58s, before the reset in 10 minutes.
+  assert.deepEqual(writes, ['⏳58s⚠️\n']);
+});
+
+test('parseArgs collects threshold alerts from flags and config', () => {
+  const { options } = parseArgs(['--alert', 'daily>=80', '--alert=ctx >= 85%', '--alert', 'secondary>=90'], { loadConfig: () => null });
+  assert.deepEqual(options.alerts, [
+    { field: 'daily', threshold: 80 },
+    { field: 'context', threshold: 85 },
+    { field: 'weekly', threshold: 90 },
+  ]);
+
+  const fromConfig = parseArgs([], { loadConfig: () => ({ alerts: ['weekly>=95'] }) }).options;
+  assert.deepEqual(fromConfig.alerts, [{ field: 'weekly', threshold: 95 }]);
+
+  assert.throws(() => parseArgs(['--alert', 'model>=80']), /Invalid alert: model>=80/);
+  assert.throws(() => parseArgs(['--alert', 'daily>80']), /Invalid alert: daily>80/);
+  assert.throws(() => parseArgs(['--alert', 'daily']), /Invalid alert: daily \(quote the threshold, e.g. --alert 'daily>=80'/);
+  assert.throws(() => parseArgs(['--alert', 'daily>=120']), /Alert threshold for daily must be a percentage/);
+});
+
+test('createAlertTracker fires once per crossing and re-arms on drop or window reset', () => {
+  const tracker = createAlertTracker([{ field: 'daily', threshold: 80 }, { field: 'context', threshold: 50 }]);
+  const snapshot = (usedPercent, at, inputTokens = 100) => ({
+    lastTimestamp: new Date(at),
+    lastTokenCount: {
+      info: { last_token_usage: { input_tokens: inputTokens }, model_context_window: 1000 },
+      rate_limits: { primary: { used_percent: usedPercent, resets_in_seconds: 600 } },
+    },
+  });
+
+  assert.deepEqual(tracker.check(snapshot(70, 0), 0), []);
+  assert.deepEqual(tracker.check(snapshot(82, 1000), 1000), [{ field: 'daily', threshold: 80, value: 82 }]);
+  assert.deepEqual(tracker.check(snapshot(90, 2000), 2000), []);
+
+  // Dropping below the threshold re-arms it.
+  assert.deepEqual(tracker.check(snapshot(40, 3000), 3000), []);
+  assert.deepEqual(tracker.check(snapshot(85, 4000), 4000), [{ field: 'daily', threshold: 80, value: 85 }]);
+
+  // Past the reset the stale snapshot stays quiet; a newer one fires again.
+  const afterReset = 4000 + 601 * 1000;
+  assert.deepEqual(tracker.check(snapshot(85, 4000), afterReset), []);
+  assert.deepEqual(tracker.check(snapshot(85, afterReset), afterReset), [{ field: 'daily', threshold: 80, value: 85 }]);
+
+  assert.deepEqual(tracker.check(snapshot(10, afterReset + 1, 600), afterReset + 1), [
+    { field: 'context', threshold: 50, value: 60 },
+  ]);
+});
+
+test('runWatch plays the threshold motif and flashes the alerting field', async () => {
+  const status = {
+    sessions: [{
+      log: { mtime: new Date() },
+      lastContext: {},
+      lastTokenCount: { rate_limits: { primary: { used_percent: 85 }, secondary: { used_percent: 20 } } },
+    }],
+  };
+  const watchWithAlerts = async (sound, sounds, timers, writes) => {
+    await runWatch({
+      baseDir: '/sessions',
+      interval: 5,
+      limit: 1,
+      sound,
+      tmux: true,
+      formatOrder: ['daily', 'weekly'],
+      alerts: [{ field: 'daily', threshold: 80 }, { field: 'weekly', threshold: 90 }],
+    }, { write: (chunk) => writes.push(chunk.trim()) }, {
+      gatherStatuses: async () => status,
+      playSound: (...args) => sounds.push(args),
+      setIntervalFn: () => {},
+      setTimeoutFn: (fn) => { timers.push(fn); return timers.length; },
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
+  };
+
+  const silent = [];
+  const silentWrites = [];
+  await watchWithAlerts('off', silent, [], silentWrites);
+  assert.deepEqual(silent, []);
+  assert.equal(silentWrites[0], '🚨🕔85%/n/a 🗓20%/n/a');
+
+  const sounds = [];
+  const timers = [];
+  const writes = [];
+  await watchWithAlerts('all', sounds, timers, writes);
+  assert.deepEqual(sounds, [['threshold', 'all', undefined, undefined]]);
+  assert.equal(writes[0], '🚨🕔85%/n/a 🗓20%/n/a');
+  while (timers.length) {
+    timers.shift()();
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  assert.equal(writes.length, 11);
+  assert.equal(writes[1], '🕔85%/n/a 🗓20%/n/a');
+  assert.equal(writes[2], '🚨🕔85%/n/a 🗓20%/n/a');
+  assert.equal(writes[writes.length - 1], '🕔85%/n/a 🗓20%/n/a');
+});
+
+test('generateG6ChordBeep renders a fixed threshold motif', () => {
+  const first = generateG6ChordBeep('threshold', 'all', 100, 'none');
+  const second = generateG6ChordBeep('threshold', 'some', 100, 'none');
+  assert.equal(first.toString('ascii', 0, 4), 'RIFF');
+  assert.ok(first.equals(second));
+  // Four 240ms notes of 16-bit mono at 8kHz after the 44-byte header.
+  assert.equal(first.length, 44 + 4 * 1920 * 2);
+});
+
+test('parseArgs enables sound flag', () => {
+  const { options } = parseArgs(['--sound']);
+  assert.equal(options.sound, 'some');
+});
+
+test('parseArgs enables sound flag with short form', () => {
+  const { options } = parseArgs(['-s']);
+  assert.equal(options.sound, 'some');
+});
+
+test('parseArgs accepts sound mode values', () => {
+  const { options: opt1 } = parseArgs(['--sound=all']);
+  assert.equal(opt1.sound, 'all');
+  
+  const { options: opt2 } = parseArgs(['--sound=some']);
+  assert.equal(opt2.sound, 'some');
+  
+  const { options: opt3 } = parseArgs(['--sound=assistant']);
+  assert.equal(opt3.sound, 'assistant');
+  
+  const { options: opt4 } = parseArgs(['--sound', 'some']);
+  assert.equal(opt4.sound, 'some');
+});
+
+test('parseArgs rejects invalid sound modes', () => {
+  assert.throws(() => {
+    parseArgs(['--sound=invalid']);
+  }, /Sound mode must be one of: all, some, assistant/);
+});
+
+test('parseArgs accepts sound volume', () => {
+  const { options: opt1 } = parseArgs(['--sound-volume=50']);
+  assert.equal(opt1.soundVolume, 50);
+  
+  const { options: opt2 } = parseArgs(['--sound-volume', '75']);
+  assert.equal(opt2.soundVolume, 75);
+  
+  const { options: opt3 } = parseArgs(['--sound-volume=1']);
+  assert.equal(opt3.soundVolume, 1);
+  
+  const { options: opt4 } = parseArgs(['--sound-volume=100']);
+  assert.equal(opt4.soundVolume, 100);
+});
+
+test('parseArgs rejects invalid sound volume', () => {
+  assert.throws(() => {
+    parseArgs(['--sound-volume=0']);
+  }, /Sound volume must be an integer between 1 and 100/);
+  
+  assert.throws(() => {
+    parseArgs(['--sound-volume=101']);
+  }, /Sound volume must be an integer between 1 and 100/);
+  
+  assert.throws(() => {
+    parseArgs(['--sound-volume=50.5']);
+  }, /Sound volume must be an integer between 1 and 100/);
+});
+
+test('parseArgs accepts sound reverb', () => {
+  const { options: opt1 } = parseArgs(['--sound-reverb=none']);
+  assert.equal(opt1.soundReverb, 'none');
+  
+  const { options: opt2 } = parseArgs(['--sound-reverb', 'subtle']);
+  assert.equal(opt2.soundReverb, 'subtle');
+  
+  const { options: opt3 } = parseArgs(['--sound-reverb=default']);
+  assert.equal(opt3.soundReverb, 'default');
+  
+  const { options: opt4 } = parseArgs(['--sound-reverb', 'lush']);
+  assert.equal(opt4.soundReverb, 'lush');
+});
+
+test('parseArgs rejects invalid sound reverb', () => {
+  assert.throws(() => {
+    parseArgs(['--sound-reverb=invalid']);
+  }, /Sound reverb must be one of: none, subtle, default, lush/);
+  
+  assert.throws(() => {
+    parseArgs(['--sound-reverb', 'wrong']);
+  }, /Sound reverb must be one of: none, subtle, default, lush/);
+});
+
+test('readLog captures structured review output even when review_output is null', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const filePath = path.join(tmpDir, 'structured.jsonl');
+    const structured = {
+      findings: [
+        {
+          title: '[P1] Broken flow',
+          body: 'Routing loses nested product data.',
+          priority: 1,
+          confidence_score: 0.6,
+          code_location: {
+            absolute_file_path: 'src/app.dart',
+            line_range: { start: 10, end: 14 },
+          },
+        },
+      ],
+      overall_correctness: 'patch is incorrect',
+      overall_explanation: 'Breaks deep link handling.',
+      overall_confidence_score: 0.6,
+    };
+
+    const entries = [
+      JSON.stringify({ timestamp: '2025-01-01T00:00:00.000Z', type: 'turn_context', payload: {} }),
+      JSON.stringify({ timestamp: '2025-01-01T00:00:01.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } }),
+      JSON.stringify({
+        timestamp: '2025-01-01T00:00:02.000Z',
+        type: 'event_msg',
+        payload: {
+          type: 'agent_message',
+          message: JSON.stringify(structured),
+        },
+      }),
+      JSON.stringify({
+        timestamp: '2025-01-01T00:00:03.000Z',
+        type: 'event_msg',
+        payload: {
+          type: 'exited_review_mode',
+          review_output: null,
+        },
+      }),
+    ];
+
+    fs.writeFileSync(filePath, `${entries.join('\n')}\n`);
+    const info = await readLog(filePath);
+    assert.ok(info.lastReview, 'expected lastReview to be captured');
+    assert.equal(info.lastReview.overallCorrectness, 'patch is incorrect');
+    assert.equal(info.lastReview.verdict, 'incorrect');
+    assert.equal(info.lastReview.findings.length, 1);
+    assert.equal(info.lastReview.findings[0].location.file, 'src/app.dart');
+    assert.equal(info.lastActivity, 'review');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('readLog falls back to user_action review results when structured data is missing', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const filePath = path.join(tmpDir, 'user-action.jsonl');
+    const userAction = `<user_action>\n  <action>review</action>\n  <results>\n  Looks good to me.\n  </results>\n</user_action>`;
+
+    const entries = [
+      JSON.stringify({ timestamp: '2025-02-01T00:00:00.000Z', type: 'turn_context', payload: {} }),
+      JSON.stringify({ timestamp: '2025-02-01T00:00:01.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } }),
+      JSON.stringify({
+        timestamp: '2025-02-01T00:00:02.000Z',
+        type: 'event_msg',
+        payload: {
+          type: 'exited_review_mode',
+          review_output: null,
+        },
+      }),
+      JSON.stringify({
+        timestamp: '2025-02-01T00:00:03.000Z',
+        type: 'response_item',
+        payload: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: userAction }],
+        },
+      }),
+    ];
+
+    fs.writeFileSync(filePath, `${entries.join('\n')}\n`);
+    const info = await readLog(filePath);
+    assert.ok(info.lastReview, 'expected fallback review to be captured');
+    assert.equal(info.lastReview.source, 'user_action');
+    assert.equal(info.lastReview.summary, 'Looks good to me.');
+    assert.equal(info.lastReview.overallExplanation, 'Looks good to me.');
+    assert.equal(info.lastReview.findings.length, 0);
+    assert.equal(info.lastActivity, 'review');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('formatSessionSummary shows token breakdown and cache-hit fields', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: {},
+    lastTokenCount: {
+      info: {
+        last_token_usage: {
+          input_tokens: 12000,
+          cached_input_tokens: 9000,
+          output_tokens: 800,
+          reasoning_output_tokens: 300,
+          total_tokens: 12800,
+        },
+        total_token_usage: {
+          input_tokens: 200000,
+          cached_input_tokens: 150000,
+          output_tokens: 5000,
+          reasoning_output_tokens: 2500,
+          total_tokens: 205000,
+        },
+      },
+    },
+  };
+
+  const { options } = parseArgs(['--format', 'last-input,recent-cached,recent-output,recent-reasoning,total-input,total-cached,total-output,total-reasoning,cache']);
+  assert.equal(
+    formatSessionSummary(detail, options),
+    '📥12K 💾9K 📤800 💡300 Σ📥200K Σ💾150K Σ📤5K Σ💡2.5K 🎯75%',
+  );
+  assert.equal(
+    formatSessionSummary({ ...detail, lastTokenCount: null }, { formatOrder: ['recent-input', 'cache-hit'] }),
+    '⚡ no status',
+  );
+});
+
+test('formatSessionSummary shows context window usage with an optional warning', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: {},
+    lastTokenCount: {
+      info: {
+        last_token_usage: { input_tokens: 217600, total_tokens: 218000 },
+        model_context_window: 272000,
+      },
+    },
+  };
+
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['context'] }), '🧠80%/54.4K');
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['ctx'], contextWarn: 80 }), '🧠80%/54.4K⚠️');
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['context'], contextWarn: 90 }), '🧠80%/54.4K');
+
+  const noWindow = { ...detail, lastTokenCount: { info: { last_token_usage: { input_tokens: 10 } } } };
+  assert.equal(formatSessionSummary(noWindow, { formatOrder: ['context'] }), '⚡ no status');
+
+  assert.equal(parseArgs(['--context-warn', '85']).options.contextWarn, 85);
+  assert.throws(() => parseArgs(['--context-warn=0']), /Context warning threshold must be a percentage/);
+});
+
+test('formatSessionSummary forecasts when each rate limit runs out', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: {},
+    lastTokenCount: {
+      rate_limits: {
+        primary: { used_percent: 75, window_minutes: 300, resets_in_seconds: 7200 },
+        secondary: { used_percent: 10, window_minutes: 10080, resets_in_seconds: 518400 },
+      },
+    },
+  };
+
+  // Without a history the rate is averaged over the elapsed part of each window:
+  // 75% in 3h leaves 1h (before the 2h reset); 10% in 1d leaves 9d (after the reset).
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['forecast'] }), '⏳1h⚠️/9d');
+
+  const history = createRateHistory();
+  history.record({ primary: { used_percent: 40 }, secondary: { used_percent: 10 } }, 0);
+  history.record({ primary: { used_percent: 50 }, secondary: { used_percent: 10 } }, 10 * 60 * 1000);
+  const current = {
+    ...detail,
+    lastTokenCount: {
+      rate_limits: {
+        primary: { used_percent: 50, window_minutes: 300, resets_in_seconds: 36000 },
+        secondary: { used_percent: 10, window_minutes: 10080, resets_in_seconds: 518400 },
+      },
+    },
+  };
+  // 10% per 10 minutes leaves 50m for the remaining 50%; the weekly window is flat.
+  assert.equal(formatSessionSummary(current, { formatOrder: ['burn'], rateHistory: history }), '⏳50m⚠️/∞');
+
+  // A drop in usage means the window reset, so the history starts over.
+  history.record({ primary: { used_percent: 5 } }, 11 * 60 * 1000);
+  assert.equal(history.rate('primary'), null);
+
+  const exhausted = { ...detail, lastTokenCount: { rate_limits: { primary: { used_percent: 100, window_minutes: 300, resets_in_seconds: 60 } } } };
+  assert.equal(formatSessionSummary(exhausted, { formatOrder: ['eta'] }), '⏳now⚠️');
+
+  const unknown = { ...detail, lastTokenCount: { rate_limits: { primary: { used_percent: 20 } } } };
+  assert.equal(formatSessionSummary(unknown, { formatOrder: ['forecast'] }), '⚡ no status');
+});
+
+test('formatSessionSummary estimates session and last-turn cost from the pricing table', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: { model: 'gpt-5-codex-2025-09-15' },
+    lastTokenCount: {
+      info: {
+        total_token_usage: { input_tokens: 1000000, cached_input_tokens: 600000, output_tokens: 50000 },
+        last_token_usage: { input_tokens: 40000, cached_input_tokens: 30000, output_tokens: 1000 },
+      },
+    },
+  };
+
+  // 400K x $1.25 + 600K x $0.125 + 50K x $10 = $1.075; 10K x $1.25 + 30K x $0.125 + 1K x $10 = $0.02625
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['cost'] }), '💵$1.07/$0.03');
+
+  const unknown = { ...detail, lastContext: { model: 'mystery-model' } };
+  assert.equal(formatSessionSummary(unknown, { formatOrder: ['cost'] }), '💵no price');
+
+  const { options } = parseArgs(['--format', 'spend'], {
+    loadConfig: () => ({ pricing: { 'Mystery-Model': { input: 1, output: 2 } } }),
+  });
+  assert.deepEqual(options.pricing, { 'mystery-model': { input: 1, cachedInput: 1, output: 2 } });
+  assert.equal(formatSessionSummary(unknown, options), '💵$1.10/$0.04');
+
+  assert.throws(
+    () => parseArgs([], { loadConfig: () => ({ pricing: { x: { input: -1, output: 1 } } }) }),
+    /Pricing for x needs a non-negative input price/,
+  );
+});
+
+test('formatSessionSummary shows review verdict, findings, priority and confidence', () => {
+  const detail = {
+    log: { mtime: new Date() },
+    lastContext: {},
+    lastReview: {
+      verdict: 'incorrect',
+      overallConfidence: 0.6,
+      findings: [
+        { title: 'Minor nit', priority: 3 },
+        { title: 'Broken flow', priority: 1 },
+      ],
+    },
+  };
+
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['review'] }), '🔎❗2/P1/60%');
+  assert.equal(formatSessionSummary(detail, { formatOrder: ['findings'], minimal: true }), '🔎❗2');
+  assert.equal(
+    formatSessionSummary(detail, { formatOrder: ['verdict'], labelOverrides: { review: 'R:' } }),
+    'R:❗2/P1/60%',
+  );
+  assert.equal(formatSessionSummary({ ...detail, lastReview: null }, { formatOrder: ['review'] }), '⚡ no status');
+});
+
+test('parseArgs accepts review field aliases and overrides', () => {
+  const { options } = parseArgs(['--format', 'verdict,model', '--override-findings=REV']);
+  assert.deepEqual(options.formatOrder, ['review', 'model']);
+  assert.deepEqual(options.labelOverrides, { review: 'REV' });
+});
+
+test('parseArgs recognises the review command and its filters', () => {
+  const { options } = parseArgs(['review', '0199a1b2', '--severity', 'High,low', '--min-confidence=70']);
+  assert.equal(options.command, 'review');
+  assert.equal(options.session, '0199a1b2');
+  assert.deepEqual(options.reviewSeverity, ['high', 'low']);
+  assert.equal(options.reviewMinConfidence, 0.7);
+
+  assert.throws(() => parseArgs(['review', '--min-confidence', 'lots']), /Minimum confidence must be a number/);
+  assert.throws(() => parseArgs(['--limit', '2', 'review']), /Unknown argument: review/);
+  assert.throws(() => parseArgs(['--severity', 'high']), /--severity only applies to the review command/);
+  assert.throws(() => parseArgs(['report', '--min-confidence=50']), /--min-confidence only applies to the review command/);
+  assert.equal(parseArgs([], { loadConfig: () => ({ severity: 'high' }) }).options.reviewSeverity[0], 'high');
+});
+
+test('runReview prints findings sorted by priority with filters applied', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '01', '01');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const filePath = path.join(dayDir, 'rollout-2025-01-01T00-00-00-0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b.jsonl');
+    const structured = {
+      findings: [
+        {
+          title: 'Style nit',
+          body: 'Prefer const.',
+          priority: 3,
+          severity: 'low',
+          confidence_score: 0.9,
+          code_location: { absolute_file_path: 'src/a.js', line_range: { start: 4, end: 4 } },
+        },
+        {
+          title: 'Broken flow',
+          body: 'Routing loses nested product data.',
+          priority: 1,
+          severity: 'high',
+          confidence_score: 0.8,
+          code_location: { absolute_file_path: 'src/app.dart', line_range: { start: 10, end: 14 } },
+        },
+        {
+          title: 'Maybe racy',
+          priority: 2,
+          severity: 'high',
+          confidence_score: 0.3,
+        },
+      ],
+      overall_correctness: 'patch is incorrect',
+      overall_explanation: 'Breaks deep link handling.',
+      overall_confidence_score: 0.75,
+    };
+    const entries = [
+      { timestamp: '2025-01-01T00:00:00.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } },
+      { timestamp: '2025-01-01T00:00:01.000Z', type: 'event_msg', payload: { type: 'exited_review_mode', review_output: structured } },
+    ];
+    fs.writeFileSync(filePath, `${entries.map((entry) => JSON.stringify(entry)).join('\n')}\n`);
+
+    const stdout = { text: '', write(chunk) { this.text += chunk; } };
+    await runReview({ baseDir: tmpDir, session: null }, stdout);
+    const lines = stdout.text.split('\n');
+    assert.equal(lines[0], `Session: ${filePath}`);
+    assert.ok(lines.includes('Verdict: ❗ incorrect (patch is incorrect)'));
+    assert.ok(lines.includes('Confidence: 75%'));
+    assert.ok(lines.includes('Summary: Breaks deep link handling.'));
+    assert.ok(lines.includes('Findings (3 of 3):'));
+    const titles = lines.filter((line) => /^\d+\. /.test(line));
+    assert.deepEqual(titles, ['1. Broken flow', '2. Maybe racy', '3. Style nit']);
+    assert.ok(lines.includes('   priority P1 · severity high · confidence 80%'));
+    assert.ok(lines.includes('   src/app.dart:10-14'));
+    assert.ok(lines.includes('   src/a.js:4'));
+
+    const filtered = { text: '', write(chunk) { this.text += chunk; } };
+    await runReview({
+      baseDir: tmpDir,
+      session: '0199a1b2',
+      reviewSeverity: ['high'],
+      reviewMinConfidence: 0.5,
+    }, filtered);
+    assert.ok(filtered.text.includes('Findings (1 of 3):'));
+    assert.ok(filtered.text.includes('1. Broken flow'));
+    assert.ok(!filtered.text.includes('Style nit'));
+
+    await assert.rejects(runReview({ baseDir: tmpDir, session: 'ffffffff' }, filtered), /No rollout log matches ffffffff/);
+
+    // A second session started in the same minute shares the id's timestamp prefix.
+    fs.writeFileSync(path.join(dayDir, 'rollout-2025-01-01T00-00-30-0199a1b2-9e8d-7c6b-8a59-483726150a0b.jsonl'), '');
+    await assert.rejects(
+      runReview({ baseDir: tmpDir, session: '0199a1b2' }, filtered),
+      /0199a1b2 matches 2 rollout logs \(.*\); use a longer id/
+    );
+    const exact = { text: '', write(chunk) { this.text += chunk; } };
+    await runReview({ baseDir: tmpDir, session: '0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b' }, exact);
+    assert.ok(exact.text.startsWith(`Session: ${filePath}`));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('parseArgs parses report command time bounds and grouping', () => {
+  const before = Date.now();
+  const { options } = parseArgs(['report', '--since', '7d', '--group-by', 'model', '--csv'], { loadConfig: () => null });
+  assert.equal(options.command, 'report');
+  assert.equal(options.reportGroup, 'model');
+  assert.equal(options.csv, true);
+  const week = 7 * 24 * 60 * 60 * 1000;
+  assert.ok(options.since >= before - week && options.since <= Date.now() - week);
+
+  const range = parseArgs(['report', '--from', '2025-01-02', '--to', '2025-01-03'], { loadConfig: () => null }).options;
+  assert.equal(range.since, new Date(2025, 0, 2).getTime());
+  assert.equal(range.until, new Date(2025, 0, 4).getTime() - 1);
+  assert.equal(parseArgs(['--until', '2025-01-03T10:00:00Z'], { loadConfig: () => null }).options.until, Date.parse('2025-01-03T10:00:00Z'));
+
+  assert.throws(() => parseArgs(['report', '--since', 'yesterday']), /Invalid time: yesterday/);
+  assert.throws(() => parseArgs(['report', '--from', '2025-02-30']), /Invalid time: 2025-02-30/);
+  assert.throws(() => parseArgs(['report', '--group-by', 'week']), /Group must be one of: day, model, cwd/);
+});
+
+test('runReport sums sessions by start day, model and directory', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const writeSession = (name, start, { model, cwd, turns, minutes, tokens }) => {
+      const startMs = Date.parse(start);
+      const records = [];
+      for (let turn = 0; turn < turns; turn += 1) {
+        records.push({ timestamp: new Date(startMs + turn * 1000).toISOString(), type: 'turn_context', payload: { model, cwd } });
+      }
+      records.push({
+        timestamp: new Date(startMs + minutes * 60 * 1000).toISOString(),
+        type: 'event_msg',
+        payload: { type: 'token_count', info: { total_token_usage: { total_tokens: tokens } } },
+      });
+      const dayDir = path.join(tmpDir, ...start.slice(0, 10).split('-'));
+      fs.mkdirSync(dayDir, { recursive: true });
+      fs.writeFileSync(path.join(dayDir, name), `${records.map((record) => JSON.stringify(record)).join('\n')}\n`);
+    };
+    writeSession('rollout-a.jsonl', '2025-01-01T12:00:00.000Z', { model: 'gpt-5', cwd: '/work/app', turns: 2, minutes: 30, tokens: 1000 });
+    writeSession('rollout-b.jsonl', '2025-01-01T13:00:00.000Z', { model: 'gpt-5-codex', cwd: '/work/app', turns: 3, minutes: 10, tokens: 4000 });
+    writeSession('rollout-c.jsonl', '2025-01-02T12:00:00.000Z', { model: 'gpt-5', cwd: '/work/lib', turns: 1, minutes: 5, tokens: 500 });
+    const dayOf = (iso) => {
+      const date = new Date(iso);
+      return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+    };
+
+    const byDay = await buildUsageReport(tmpDir, { group: 'day' });
+    assert.deepEqual(byDay.rows, [
+      { key: dayOf('2025-01-01T12:00:00.000Z'), sessions: 2, turns: 5, tokens: 5000, seconds: 2400 },
+      { key: dayOf('2025-01-02T12:00:00.000Z'), sessions: 1, turns: 1, tokens: 500, seconds: 300 },
+    ]);
+    assert.deepEqual(byDay.totals, { sessions: 3, turns: 6, tokens: 5500, seconds: 2700 });
+
+    const byModel = await buildUsageReport(tmpDir, { group: 'model', since: Date.parse('2025-01-01T12:30:00.000Z') });
+    assert.deepEqual(byModel.rows.map((row) => [row.key, row.sessions, row.tokens]), [
+      ['gpt-5-codex', 1, 4000],
+      ['gpt-5', 1, 500],
+    ]);
+
+    const table = { text: '', write(chunk) { this.text += chunk; } };
+    await runReport({ baseDir: tmpDir, since: null, until: null, reportGroup: 'cwd' }, table);
+    const lines = table.text.trimEnd().split('\n');
+    assert.match(lines[0], /^Directory\s+Sessions\s+Turns\s+Tokens\s+Time$/);
+    assert.match(lines[2], /^work\/app\s+2\s+5\s+5K\s+40m 0s$/);
+    assert.match(lines[3], /^work\/lib\s+1\s+1\s+500\s+5m 0s$/);
+    assert.match(lines[5], /^Total\s+3\s+6\s+5\.5K\s+45m 0s$/);
+    assert.equal(new Set(lines.map((line) => line.length)).size, 1);
+
+    const csv = { text: '', write(chunk) { this.text += chunk; } };
+    await runReport({ baseDir: tmpDir, since: null, until: Date.parse('2025-01-01T23:59:59.000Z'), reportGroup: 'model', csv: true }, csv);
+    assert.equal(csv.text, 'model,sessions,turns,tokens,seconds\ngpt-5-codex,1,3,4000,600\ngpt-5,1,2,1000,1800\n');
+
+    const json = { text: '', write(chunk) { this.text += chunk; } };
+    await runReport({ baseDir: tmpDir, since: null, until: null, reportGroup: 'day', json: true }, json);
+    const payload = JSON.parse(json.text);
+    assert.equal(payload.groupBy, 'day');
+    assert.equal(payload.since, null);
+    assert.equal(payload.rows.length, 2);
+    assert.deepEqual(payload.totals, { sessions: 3, turns: 6, tokens: 5500, seconds: 2700 });
+
+    const empty = { text: '', write(chunk) { this.text += chunk; } };
+    await runReport({ baseDir: tmpDir, since: Date.parse('2030-01-01'), until: null, reportGroup: 'day' }, empty);
+    assert.equal(empty.text, 'No sessions found in the selected range.\n');
+
+    // A log rotated away between listing and reading is skipped, not fatal
+    const rotating = async (filePath) => {
+      if (path.basename(filePath) === 'rollout-b.jsonl') fs.unlinkSync(filePath);
+      return readLog(filePath);
+    };
+    const partial = await buildUsageReport(tmpDir, { group: 'day' }, { reader: rotating });
+    assert.equal(partial.skipped, 1);
+    assert.deepEqual(partial.totals, { sessions: 2, turns: 3, tokens: 1500, seconds: 2100 });
+    assert.equal(byDay.skipped, 0);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runSearch finds messages and tool calls across sessions, newest first', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '01', '02');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const writeSession = (name, records, mtime) => {
+      const filePath = path.join(dayDir, name);
+      fs.writeFileSync(filePath, `${records.map((record) => JSON.stringify(record)).join('\n')}\n`);
+      fs.utimesSync(filePath, mtime, mtime);
+      return filePath;
+    };
+    const message = (timestamp, role, text) => ({
+      timestamp,
+      type: 'response_item',
+      payload: { type: 'message', role, content: [{ type: role === 'user' ? 'input_text' : 'output_text', text }] },
+    });
+    const older = writeSession('rollout-old.jsonl', [
+      message('2025-01-02T09:00:00.000Z', 'user', '<environment_context>cwd: /work/Flaky</environment_context>'),
+      message('2025-01-02T09:00:01.000Z', 'user', 'Why is the flaky test failing?'),
+      { timestamp: '2025-01-02T09:00:02.000Z', type: 'response_item', payload: { type: 'reasoning', summary: [{ type: 'summary_text', text: 'flaky timing' }] } },
+      { timestamp: '2025-01-02T09:00:03.000Z', type: 'response_item', payload: { type: 'function_call', name: 'shell', arguments: '{"command":["rg","flaky"]}' } },
+    ], new Date('2025-01-02T09:00:03.000Z'));
+    const newer = writeSession('rollout-new.jsonl', [
+      message('2025-01-02T10:00:00.000Z', 'assistant', `${'x'.repeat(80)} The Flaky test was a race. ${'y'.repeat(80)}`),
+    ], new Date('2025-01-02T10:00:00.000Z'));
+
+    const out = { text: '', write(chunk) { this.text += chunk; } };
+    await runSearch({ baseDir: tmpDir, searchPattern: 'flaky', searchIgnoreCase: true, searchMaxResults: 100 }, out);
+    const lines = out.text.trimEnd().split('\n');
+    assert.equal(lines.length, 6);
+    assert.equal(lines[0], newer);
+    assert.match(lines[1], /^ {2}\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} {2}assistant {2}…x+ The Flaky test was a race\. y+…$/);
+    assert.equal(lines[3], older);
+    assert.match(lines[4], /user {7}Why is the flaky test failing\?$/);
+    assert.match(lines[5], /tool {7}shell \{"command":\["rg","flaky"\]\}$/);
+    assert.ok(!out.text.includes('\x1b['));
+
+    const exact = { text: '', write(chunk) { this.text += chunk; } };
+    await runSearch({ baseDir: tmpDir, searchPattern: 'flaky', searchMaxResults: 1 }, exact);
+    assert.equal(exact.text.split('\n')[0], older);
+    assert.match(exact.text, /Stopped at --max-results 1; there may be more matches\.\n$/);
+
+    const tty = { isTTY: true, text: '', write(chunk) { this.text += chunk; } };
+    const originalNoColor = process.env.NO_COLOR;
+    delete process.env.NO_COLOR;
+    try {
+      await runSearch({ baseDir: tmpDir, searchPattern: 'race\\.?', searchRegex: true, searchMaxResults: 100 }, tty);
+    } finally {
+      if (originalNoColor !== undefined) process.env.NO_COLOR = originalNoColor;
+    }
+    assert.ok(tty.text.includes('\x1b[1;33mrace.\x1b[0m'));
+
+    await assert.rejects(
+      runSearch({ baseDir: tmpDir, searchPattern: 'deadlock', searchMaxResults: 100 }, out),
+      /No matches for deadlock/,
+    );
+    await assert.rejects(
+      runSearch({ baseDir: tmpDir, searchPattern: '(', searchRegex: true, searchMaxResults: 100 }, out),
+      /Invalid search pattern/,
+    );
+    assert.throws(() => parseArgs(['search']), /search requires a pattern/);
+    const { options } = parseArgs(['search', 'flaky', '-i', '--regex', '--max-results', '5']);
+    assert.equal(options.command, 'search');
+    assert.equal(options.searchPattern, 'flaky');
+    assert.equal(options.searchIgnoreCase, true);
+    assert.equal(options.searchRegex, true);
+    assert.equal(options.searchMaxResults, 5);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runShow prints a session timeline and filters entry kinds', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '01', '02');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const records = [
+      { timestamp: '2025-01-02T09:00:00.000Z', type: 'turn_context', payload: { model: 'gpt-5-codex', cwd: '/work/app' } },
+      { timestamp: '2025-01-02T09:00:00.000Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: '<environment_context>cwd</environment_context>' }] } },
+      { timestamp: '2025-01-02T09:00:01.000Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'List the files\nthen stop' }] } },
+      { timestamp: '2025-01-02T09:00:02.000Z', type: 'response_item', payload: { type: 'reasoning', summary: [{ type: 'summary_text', text: 'Use ls' }] } },
+      { timestamp: '2025-01-02T09:00:03.000Z', type: 'response_item', payload: { type: 'function_call', name: 'shell', arguments: '{"command":["ls"]}', call_id: 'c1' } },
+      { timestamp: '2025-01-02T09:00:04.000Z', type: 'response_item', payload: { type: 'function_call_output', call_id: 'c1', output: '{"output":"a.js\\nb.js","metadata":{"exit_code":0}}' } },
+      { timestamp: '2025-01-02T09:00:05.000Z', type: 'event_msg', payload: { type: 'token_count', info: { total_token_usage: { total_tokens: 12000 }, last_token_usage: { input_tokens: 50000, total_tokens: 3000 }, model_context_window: 200000 } } },
+      { timestamp: '2025-01-02T09:00:06.000Z', type: 'response_item', payload: { type: 'message', role: 'assistant', content: [{ type: 'output_text', text: 'Two files.' }] } },
+      { timestamp: '2025-01-02T09:00:07.000Z', type: 'event_msg', payload: { type: 'entered_review_mode' } },
+      { timestamp: '2025-01-02T09:00:08.000Z', type: 'event_msg', payload: { type: 'exited_review_mode', review_output: { findings: [{ title: 'Bug' }], overall_correctness: 'patch is incorrect' } } },
+    ];
+    const logPath = path.join(dayDir, 'rollout-2025-01-02T09-00-00-abc.jsonl');
+    fs.writeFileSync(logPath, `${records.map((record) => JSON.stringify(record)).join('\n')}\n`);
+
+    const out = { text: '', write(chunk) { this.text += chunk; } };
+    await runShow({ baseDir: tmpDir, session: null, transcriptKinds: null }, out);
+    const lines = out.text.trimEnd().split('\n').map((line) => line.replace(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}/, 'TIME'));
+    assert.deepEqual(lines, [
+      `Session: ${logPath}`,
+      'TIME  user       List the files',
+      '                                then stop',
+      'TIME  reasoning  Use ls',
+      'TIME  tool       shell {"command":["ls"]}',
+      'TIME  output     a.js',
+      '                                b.js',
+      'TIME  tokens     total 12K · last 3K · context 25%',
+      'TIME  assistant  Two files.',
+      'TIME  review     Entered review mode',
+      'TIME  review     Exited review mode: incorrect, 1 finding',
+    ]);
+
+    const filtered = { text: '', write(chunk) { this.text += chunk; } };
+    const { options } = parseArgs(['show', 'abc', '--base', tmpDir, '--only', 'tool,assistant']);
+    assert.equal(options.session, 'abc');
+    assert.deepEqual(options.transcriptKinds, ['tool', 'assistant']);
+    await runShow(options, filtered);
+    assert.equal(filtered.text.trimEnd().split('\n').length, 3);
+    assert.ok(filtered.text.includes('tool       shell'));
+    assert.ok(filtered.text.includes('assistant  Two files.'));
+
+    assert.deepEqual(parseArgs(['show', '--only=thinking']).options.transcriptKinds, ['reasoning']);
+    assert.throws(() => parseArgs(['show', '--only', 'tool,bogus']), /Invalid entry kind: bogus/);
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('createIncrementalLogReader parses only appended lines and matches readLog', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const filePath = path.join(tmpDir, 'tail.jsonl');
+    const line = (record) => `${JSON.stringify(record)}\n`;
+    fs.writeFileSync(filePath, [
+      line({ timestamp: '2025-03-01T00:00:00.000Z', type: 'turn_context', payload: { model: 'gpt-5', cwd: '/tmp/p' } }),
+      line({ timestamp: '2025-03-01T00:00:01.000Z', type: 'response_item', payload: { type: 'message', role: 'user', content: [] } }),
+    ].join(''));
+
+    const reader = createIncrementalLogReader();
+    const first = await reader(filePath);
+    assert.equal(first.lastActivity, 'user');
+    assert.equal(first.lastContext.model, 'gpt-5');
+
+    // Append a record in two writes; the half-written line must wait for its newline.
+    const assistant = line({ timestamp: '2025-03-01T00:00:02.000Z', type: 'response_item', payload: { type: 'message', role: 'assistant', content: [] } });
+    fs.appendFileSync(filePath, assistant.slice(0, 20));
+    const partial = await reader(filePath);
+    assert.equal(partial.lastActivity, 'user');
+
+    fs.appendFileSync(filePath, assistant.slice(20));
+    const second = await reader(filePath);
+    assert.equal(second.lastActivity, 'assistant');
+    assert.equal(second.lastAssistantMessageTime.toISOString(), '2025-03-01T00:00:02.000Z');
+    assert.deepEqual(second, await readLog(filePath));
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('createIncrementalLogReader re-reads a file that shrank or was replaced', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const filePath = path.join(tmpDir, 'tail.jsonl');
+    const line = (record) => `${JSON.stringify(record)}\n`;
+    const context = (model) => line({ timestamp: '2025-03-01T00:00:00.000Z', type: 'turn_context', payload: { model } });
+    fs.writeFileSync(filePath, context('gpt-long-original-model') + line({
+      timestamp: '2025-03-01T00:00:01.000Z',
+      type: 'response_item',
+      payload: { type: 'function_call', name: 'shell' },
+    }));
+
+    const reader = createIncrementalLogReader();
+    assert.equal((await reader(filePath)).lastActivity, 'tool');
+
+    fs.writeFileSync(filePath, context('gpt-5'));
+    const shrunk = await reader(filePath);
+    assert.equal(shrunk.lastContext.model, 'gpt-5');
+    assert.equal(shrunk.lastActivity, null);
+
+    const replacement = path.join(tmpDir, 'replacement.jsonl');
+    fs.writeFileSync(replacement, context('gpt-5-mini') + context('gpt-5-nano'));
+    fs.renameSync(replacement, filePath);
+    assert.equal((await reader(filePath)).lastContext.model, 'gpt-5-nano');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('createIncrementalLogReader forgets logs that gatherStatuses no longer returns', async () => {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const dayDir = path.join(tmpDir, '2025', '03', '01');
+    fs.mkdirSync(dayDir, { recursive: true });
+    const writeSession = (name, model, ageSeconds) => {
+      const filePath = path.join(dayDir, name);
+      fs.writeFileSync(filePath, `${JSON.stringify({ type: 'turn_context', payload: { model } })}\n`);
+      const mtime = new Date(Date.now() - ageSeconds * 1000);
+      fs.utimesSync(filePath, mtime, mtime);
+    };
+    writeSession('rollout-new.jsonl', 'gpt-5-aaaa', 10);
+    writeSession('rollout-old.jsonl', 'gpt-5-bbbb', 20);
+
+    const reader = createIncrementalLogReader();
+    await gatherStatuses(tmpDir, 2, { reader });
+    // Rewritten in place at the same size, a remembered log keeps its parsed state
+    writeSession('rollout-new.jsonl', 'gpt-5-cccc', 10);
+    writeSession('rollout-old.jsonl', 'gpt-5-cccc', 20);
+    await gatherStatuses(tmpDir, 1, { reader });
+
+    const [newer, older] = (await gatherStatuses(tmpDir, 2, { reader })).sessions;
+    assert.equal(newer.lastContext.model, 'gpt-5-aaaa');
+    assert.equal(older.lastContext.model, 'gpt-5-cccc');
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('runWatch reuses one incremental reader across refreshes', async () => {
+  const readers = [];
+  const intervals = [];
+  const originalClear = console.clear;
+  console.clear = () => {};
+  try {
+    await runWatch({ baseDir: '.', interval: 5, limit: 1, sound: 'off' }, { columns: 80, write: () => {} }, {
+      gatherStatuses: async (baseDir, limit, { reader }) => {
+        readers.push(reader);
+        return { sessions: [{ log: { mtime: new Date() }, lastContext: {} }] };
+      },
+      setIntervalFn: (fn) => intervals.push(fn),
+      stdin: createMockStdin(),
+      processObject: createMockProcess(),
+    });
+    await intervals[0]();
+  } finally {
+    console.clear = originalClear;
+  }
+  assert.equal(readers.length, 2);
+  assert.equal(typeof readers[0], 'function');
+  assert.equal(readers[0], readers[1]);
+});
+
+test('parseArgs configures notification mode and backend', () => {
+  assert.equal(parseArgs(['--notify']).options.notify, 'assistant');
+  assert.equal(parseArgs(['--notify', 'some']).options.notify, 'some');
+  assert.equal(parseArgs(['--notify=all']).options.notify, 'all');
+  const { options } = parseArgs(['--notify-backend', 'command', '--notify-command', 'say done']);
+  assert.equal(options.notifyBackend, 'command');
+  assert.equal(options.notifyCommand, 'say done');
+  const fromConfig = parseArgs([], { loadConfig: () => ({ notify: true, notifyFile: '/tmp/n.jsonl' }) }).options;
+  assert.equal(fromConfig.notify, 'assistant');
+  assert.equal(fromConfig.notifyFile, '/tmp/n.jsonl');
+
+  assert.throws(() => parseArgs(['--notify=loud']), /Notify mode must be one of/);
+  assert.throws(() => parseArgs(['--notify-backend', 'growl']), /Notify backend must be one of/);
+  assert.throws(() => parseArgs(['--notify-backend', 'file']), /Notify backend file requires --notify-file/);
+});
+
+test('sendNotification dispatches to the selected backend', () => {
+  const calls = [];
+  const mockSpawn = (cmd, args, opts) => {
+    calls.push({ cmd, args, opts });
+    return { on: () => {} };
+  };
+  const notification = formatNotification('assistant', { message: 'Done  with\nthe refactor.', directory: 'dev/app' });
+  assert.deepEqual(notification, { title: 'Codex replied (dev/app)', body: 'Done with the refactor.' });
+  assert.equal(formatNotification('tool').body, '');
+  assert.equal(formatNotification('assistant', { message: 'x'.repeat(300) }).body.length, 200);
+
+  assert.equal(sendNotification(notification, {}, { spawn: mockSpawn, platform: 'linux' }), true);
+  assert.equal(calls[0].cmd, 'notify-send');
+  assert.deepEqual(calls[0].args, ['--app-name=codex-status', 'Codex replied (dev/app)', 'Done with the refactor.']);
+
+  sendNotification({ title: 'Say "hi"', body: 'a\\b' }, {}, { spawn: mockSpawn, platform: 'darwin' });
+  assert.equal(calls[1].cmd, 'osascript');
+  assert.deepEqual(calls[1].args, ['-e', 'display notification "a\\\\b" with title "Say \\"hi\\""']);
+
+  sendNotification(notification, { command: 'notify-me' }, { spawn: mockSpawn, platform: 'linux' });
+  assert.equal(calls[2].cmd, 'notify-me');
+  assert.equal(calls[2].opts.shell, true);
+  assert.equal(calls[2].opts.env.CODEX_STATUS_BODY, 'Done with the refactor.');
+
+  assert.equal(resolveNotifyBackend({}, 'win32'), null);
+  assert.equal(sendNotification(notification, {}, { spawn: mockSpawn, platform: 'win32' }), false);
+  assert.equal(calls.length, 3);
+
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'codex-status-test-'));
+  try {
+    const file = path.join(tmpDir, 'notifications.jsonl');
+    sendNotification(notification, { backend: 'file', file }, { now: () => Date.UTC(2025, 0, 1) });
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {
+      time: '2025-01-01T00:00:00.000Z',
+      title: 'Codex replied (dev/app)',
+      body: 'Done with the refactor.',
+    });
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+});
+
+test('parseArgs collects hook commands from flags and config', () => {
+  const { options } = parseArgs(['--on', 'assistant=notify-light blue', '--on=threshold=./alert.sh', '--hook-timeout', '2.5'], {
+    loadConfig: () => ({ hooks: { review: ['post-review', 'log-review'] } }),
+  });
+  assert.deepEqual(options.hooks, [
+    { event: 'review', command: 'post-review' },
+    { event: 'review', command: 'log-review' },
+    { event: 'assistant', command: 'notify-light blue' },
+    { event: 'threshold', command: './alert.sh' },
+  ]);
+  assert.equal(options.hookTimeout, 2.5);
+
+  assert.throws(() => parseArgs(['--on', 'lunch=eat']), /Invalid hook: lunch=eat/);
+  assert.throws(() => parseArgs(['--on', 'assistant=']), /Invalid hook: assistant=/);
+  assert.throws(() => parseArgs(['--hook-timeout', '0']), /Hook timeout must be a positive number/);
+});
+
+test('createHookRunner spawns matching hooks with env details and JSON on stdin', () => {
+  const calls = [];
+  const mockSpawn = (cmd, args, opts) => {
+    const stdin = { written: null, on: () => {}, end(chunk) { this.written = chunk; } };
+    calls.push({ cmd, opts, stdin });
+    return { stdin, on: () => {} };
+  };
+  const runner = createHookRunner([
+    { event: 'assistant', command: 'first' },
+    { event: 'threshold', command: 'second' },
+  ], { timeoutSeconds: 2 }, { spawn: mockSpawn });
+
+  runner.emit('threshold', { field: 'daily', value: 81, logPath: '/tmp/a.jsonl', message: null });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].cmd, 'second');
+  assert.equal(calls[0].opts.shell, true);
+  assert.equal(calls[0].opts.timeout, 2000);
+  assert.equal(calls[0].opts.env.CODEX_STATUS_EVENT, 'threshold');
+  assert.equal(calls[0].opts.env.CODEX_STATUS_FIELD, 'daily');
+  assert.equal(calls[0].opts.env.CODEX_STATUS_VALUE, '81');
+  assert.equal(calls[0].opts.env.CODEX_STATUS_LOG_PATH, '/tmp/a.jsonl');
+  assert.equal('CODEX_STATUS_MESSAGE' in calls[0].opts.env, false);
+  assert.deepEqual(JSON.parse(calls[0].stdin.written), {
+    event: 'threshold',
+    field: 'daily',
+    value: 81,
+    logPath: '/tmp/a.jsonl',
+    message: null,
+  });
+
+  runner.emit('tool', {});
+  assert.equal(calls.length, 1);
+  assert.deepEqual(hookEnvironment('review', { findings: 2, verdict: 'correct' }), {
+    CODEX_STATUS_EVENT: 'review',
+    CODEX_STATUS_FINDINGS: '2',
+    CODEX_STATUS_VERDICT: 'correct',
+  });
+});
+
+test('playAlertSound calls platform-specific command', () => {
+  const calls = [];
+  const mockSpawn = (cmd, args, opts) => {
+    calls.push({ cmd, args, opts });
+    return {
+      on: () => {},
+    };
+  };
+
+  playAlertSound('user', 'all', 100, 'default', { spawn: mockSpawn, platform: 'darwin', tmpdir: '/tmp' });
+  assert.equal(calls.length, 1);
+  assert.equal(calls[0].cmd, 'afplay');
+  assert.ok(calls[0].args[0].startsWith('/tmp/codex-beep-')); // temp file path
+  assert.ok(calls[0].args[0].endsWith('.wav'));
+});
+
+test('playAlertSound handles different platforms', () => {
+  const mockProcess = {
+    stdin: { write: () => {}, end: () => {} },
+    on: () => {},
+  };
+
+  const darwinCalls = [];
+  playAlertSound('user', 'all', 100, 'default', {
+    spawn: (cmd, args) => { darwinCalls.push(cmd); return mockProcess; },
+    platform: 'darwin',
+    tmpdir: '/tmp',
+  });
+  assert.equal(darwinCalls[0], 'afplay');
+
+  const linuxCalls = [];
+  playAlertSound('tool', 'all', 100, 'default', {
+    spawn: (cmd, args) => { linuxCalls.push(cmd); return mockProcess; },
+    platform: 'linux',
+    tmpdir: '/tmp',
+  });
+  assert.equal(linuxCalls[0], 'aplay'); // Linux tries aplay first
+});
+
+test('runWatch plays sound when new activity appears', async () => {
+  const fakeStdout = {
+    columns: 120,
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  console.clear = () => {};
 
   const soundCalls = [];
   const mockPlaySound = () => soundCalls.push(Date.now());
@@ -943,6 +2785,312 @@ test('runWatch toggles sound mute with keyboard', async () => {
   }
 });
 
+test('runWatch sends notifications by activity mode and mutes them with n', async () => {
+  const fakeStdout = {
+    columns: 120,
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  console.clear = () => {};
+
+  const activities = ['assistant', 'tool', 'assistant', 'assistant'];
+  let callCount = 0;
+  const mockGather = async () => {
+    const activity = activities[callCount];
+    callCount += 1;
+    return {
+      sessions: [{
+        log: { mtime: new Date() },
+        lastContext: { model: 'gpt-test', cwd: '/tmp/project' },
+        lastActivity: activity,
+        lastAssistantMessage: 'All tests pass.',
+        lastTimestamp: new Date(Date.UTC(2025, 9, 27, 20, callCount)),
+      }],
+    };
+  };
+  const notifications = [];
+  const sounds = [];
+  const intervals = [];
+  const mockStdin = createMockStdin({ isTTY: true });
+
+  try {
+    await runWatch({
+      baseDir: '.',
+      interval: 5,
+      limit: 1,
+      sound: 'all',
+      notify: 'assistant',
+      notifyBackend: 'file',
+      notifyFile: '/tmp/notes.jsonl',
+    }, fakeStdout, {
+      gatherStatuses: mockGather,
+      setIntervalFn: (fn) => intervals.push(fn),
+      playSound: (activity) => sounds.push(activity),
+      notify: (notification, settings) => notifications.push({ notification, settings }),
+      stdin: mockStdin,
+      processObject: createMockProcess(),
+    });
+    assert.ok(fakeStdout.writes[0].startsWith('🔊 🔔 '));
+
+    await intervals[0]();
+    await intervals[0]();
+    assert.deepEqual(sounds, ['tool', 'assistant']);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].notification.body, 'All tests pass.');
+    assert.ok(notifications[0].notification.title.endsWith('(tmp/project)'));
+    assert.deepEqual(notifications[0].settings, { backend: 'file', command: undefined, file: '/tmp/notes.jsonl' });
+
+    mockStdin.emit('keypress', 'n', { name: 'n' });
+    await new Promise((resolve) => setImmediate(resolve));
+    assert.ok(fakeStdout.writes[fakeStdout.writes.length - 1].startsWith('🔊 🔕 '));
+
+    await intervals[0]();
+    assert.deepEqual(sounds, ['tool', 'assistant', 'assistant']);
+    assert.equal(notifications.length, 1);
+  } finally {
+    console.clear = originalClear;
+  }
+});
+
+test('runWatch picker selects a session by path and expands its details', async () => {
+  const fakeStdout = {
+    columns: 120,
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  console.clear = () => {};
+
+  const session = (id, model, cwd) => ({
+    log: { path: `/logs/rollout-2025-10-27T10-00-00-${id}.jsonl`, mtime: new Date() },
+    lastContext: { model, cwd },
+    lastActivity: 'assistant',
+    lastAssistantMessage: `Reply from ${model}\nsecond line`,
+  });
+  const first = session('11111111-1111-1111-1111-111111111111', 'gpt-5-codex', '/srv/projects/one');
+  const second = session('22222222-2222-2222-2222-222222222222', 'gpt-5', '/srv/projects/two');
+  let order = [first, second];
+  const limits = [];
+  const mockGather = async (baseDir, limit) => {
+    limits.push(limit);
+    return { sessions: order.slice(0, limit) };
+  };
+  const intervals = [];
+  const mockStdin = createMockStdin({ isTTY: true });
+  const press = async (name) => {
+    mockStdin.emit('keypress', undefined, { name });
+    await new Promise((resolve) => setImmediate(resolve));
+  };
+  const lastWrite = () => fakeStdout.writes[fakeStdout.writes.length - 1];
+
+  try {
+    await runWatch({ baseDir: '.', interval: 5, limit: 1 }, fakeStdout, {
+      gatherStatuses: mockGather,
+      setIntervalFn: (fn) => intervals.push(fn),
+      stdin: mockStdin,
+      processObject: createMockProcess(),
+    });
+    assert.deepEqual(limits, [1]);
+
+    await press('down');
+    assert.deepEqual(limits, [1, 10]);
+    let lines = lastWrite().trimEnd().split('\n');
+    assert.ok(lines[0].startsWith('› #1 11111111'));
+    assert.ok(lines[1].startsWith('  #2 22222222'));
+    assert.match(lines[3], /j\/k select/);
+
+    await press('j');
+    lines = lastWrite().trimEnd().split('\n');
+    assert.ok(lines[1].startsWith('› #2 22222222'));
+
+    // Newer activity in the other session reorders the list; the selection follows the path
+    order = [second, first];
+    await intervals[0]();
+    lines = lastWrite().trimEnd().split('\n');
+    assert.ok(lines[0].startsWith('› #1 22222222'));
+
+    await press('return');
+    const detail = lastWrite();
+    assert.match(detail, /^session +22222222-2222-2222-2222-222222222222$/m);
+    assert.match(detail, /^log +\/logs\/rollout-2025-10-27T10-00-00-22222222-2222-2222-2222-222222222222\.jsonl$/m);
+    assert.match(detail, /^model +🤖gpt-5$/m);
+    assert.match(detail, /^directory +📁\/srv\/projects\/two$/m);
+    assert.match(detail, /^activity +💭assistant$/m);
+    assert.match(detail, /Last reply:\n {2}Reply from gpt-5\n {2}second line/);
+
+    await press('escape');
+    assert.ok(lastWrite().startsWith('› #1 22222222'));
+
+    await press('a');
+    assert.equal(lastWrite().split('\n').length, 2);
+    assert.ok(!lastWrite().includes('#1'));
+    await intervals[0]();
+    assert.equal(limits[limits.length - 1], 1);
+  } finally {
+    console.clear = originalClear;
+  }
+});
+
+test('runWatch opens the picker pressed during an in-flight refresh once it finishes', async () => {
+  const fakeStdout = {
+    columns: 120,
+    writes: [],
+    write(chunk) {
+      this.writes.push(chunk);
+    },
+  };
+  const originalClear = console.clear;
+  console.clear = () => {};
+
+  const sessions = ['1', '2'].map((digit) => ({
+    log: { path: `/logs/rollout-2025-10-27T10-00-00-11111111-1111-1111-1111-1111${digit.repeat(8)}.jsonl`, mtime: new Date() },
+    lastContext: { model: 'gpt-5' },
+  }));
+  const limits = [];
+  let release = null;
+  const mockGather = (baseDir, limit) => {
+    limits.push(limit);
+    if (limits.length !== 2) return Promise.resolve({ sessions: sessions.slice(0, limit) });
+    return new Promise((resolve) => {
+      release = () => resolve({ sessions: sessions.slice(0, limit) });
+    });
+  };
+  const intervals = [];
+  const mockStdin = createMockStdin({ isTTY: true });
+  const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+  try {
+    await runWatch({ baseDir: '.', interval: 5, limit: 1 }, fakeStdout, {
+      gatherStatuses: mockGather,
+      setIntervalFn: (fn) => intervals.push(fn),
+      stdin: mockStdin,
+      processObject: createMockProcess(),
+    });
+    const tick = intervals[0]();
+    await settle();
+    mockStdin.emit('keypress', undefined, { name: 'down' });
+    await settle();
+    assert.deepEqual(limits, [1, 1]);
+
+    release();
+    await tick;
+    for (let i = 0; i < 3; i += 1) await settle();
+    assert.deepEqual(limits, [1, 1, 10]);
+    const lines = fakeStdout.writes[fakeStdout.writes.length - 1].trimEnd().split('\n');
+    assert.ok(lines[0].startsWith('› #1 11111111'));
+    assert.ok(lines[1].startsWith('  #2 22222222'));
+  } finally {
+    console.clear = originalClear;
+  }
+});
+
+test('buildSessionDetailLines shows every field unabbreviated', () => {
+  const detail = {
+    log: { path: '/logs/rollout-2025-10-27T10-00-00-33333333-3333-3333-3333-333333333333.jsonl', mtime: new Date() },
+    lastActivity: 'tool',
+    lastContext: {
+      model: 'gpt-5-codex',
+      cwd: '/srv/projects/three',
+      approval_policy: 'on-request',
+      sandbox_policy: { mode: 'workspace-write', network_access: false },
+    },
+    lastTokenCount: {
+      info: {
+        model_context_window: 272000,
+        last_token_usage: {
+          input_tokens: 43520, cached_input_tokens: 40000, output_tokens: 1234, reasoning_output_tokens: 512, total_tokens: 44754,
+        },
+        total_token_usage: {
+          input_tokens: 1523456, cached_input_tokens: 1400000, output_tokens: 65432, reasoning_output_tokens: 30000, total_tokens: 1588888,
+        },
+      },
+      rate_limits: {
+        primary: { used_percent: 42.5, window_minutes: 300, resets_in_seconds: 7200 },
+        secondary: { used_percent: 12, window_minutes: 10080, resets_in_seconds: 3 * 86400 },
+      },
+    },
+    lastReview: { verdict: 'incorrect', overallConfidence: 0.6, findings: [{ priority: 2 }, { priority: 1 }] },
+  };
+
+  const rows = new Map(buildSessionDetailLines(detail, {}).map((line) => {
+    const [key, ...rest] = line.split(/ {2,}/);
+    return [key, rest.join('  ')];
+  }));
+  assert.equal(rows.get('model'), '🤖gpt-5-codex');
+  assert.equal(rows.get('approval'), '🛂on-request');
+  assert.equal(rows.get('sandbox'), '🧪workspace-write, no network access');
+  assert.match(rows.get('daily'), /^🕔42\.5% used, resets \d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2} \(in 2h 0m\), 5h window$/);
+  assert.match(rows.get('weekly'), /^🗓12% used, resets \d{4}-\d{2}-\d{2} [\d:]{8} \(in 3d 0h\), 7d window$/);
+  assert.equal(rows.get('forecast'), '⏳daily runs out in 4h 3m; weekly runs out in 29d 8h');
+  assert.equal(rows.get('recent'), '🔄44,754');
+  assert.equal(rows.get('total'), '📦1,588,888');
+  assert.equal(rows.get('context'), '🧠16.0% used (43,520 of 272,000 tokens, 228,480 left)');
+  assert.equal(rows.get('recent-input'), '📥43,520');
+  assert.equal(rows.get('recent-cached'), '💾40,000');
+  assert.equal(rows.get('recent-output'), '📤1,234');
+  assert.equal(rows.get('recent-reasoning'), '💡512');
+  assert.equal(rows.get('total-input'), 'Σ📥1,523,456');
+  assert.equal(rows.get('total-cached'), 'Σ💾1,400,000');
+  assert.equal(rows.get('total-output'), 'Σ📤65,432');
+  assert.equal(rows.get('total-reasoning'), 'Σ💡30,000');
+  assert.equal(rows.get('cache-hit'), '🎯91.9% (1,400,000 of 1,523,456 input tokens cached)');
+  assert.equal(rows.get('cost'), '💵$0.9836 session, $0.0217 last turn');
+  assert.equal(rows.get('review'), '🔎❗ incorrect, 2 findings, highest P1, 60% confidence');
+  assert.equal(rows.get('activity'), '💭tool');
+  assert.equal(rows.get('directory'), '📁/srv/projects/three');
+});
+
+test('runWatch emits hook events for new activity and crossed thresholds', async () => {
+  const emitted = [];
+  const intervals = [];
+  const filePath = '/sessions/2025/10/27/rollout-2025-10-27T20-00-00-0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b.jsonl';
+  let callCount = 0;
+  const mockGather = async () => {
+    callCount += 1;
+    return {
+      sessions: [{
+        log: { mtime: new Date(), path: filePath },
+        lastContext: { model: 'gpt-5-codex', cwd: '/work/app' },
+        lastActivity: callCount === 1 ? 'user' : 'review',
+        lastReview: { verdict: 'incorrect', findings: [{}, {}] },
+        lastTimestamp: new Date(Date.UTC(2025, 9, 27, 20, callCount)),
+        lastTokenCount: { rate_limits: { primary: { used_percent: callCount === 1 ? 50 : 81 } } },
+      }],
+    };
+  };
+
+  await runWatch({ baseDir: '/sessions', interval: 5, limit: 1, sound: 'off', json: true, alerts: [{ field: 'daily', threshold: 80 }] }, {
+    write: () => {},
+  }, {
+    gatherStatuses: mockGather,
+    hookRunner: { emit: (event, details) => emitted.push([event, details]) },
+    playSound: () => {},
+    setIntervalFn: (fn) => intervals.push(fn),
+    stdin: createMockStdin(),
+    processObject: createMockProcess(),
+  });
+  assert.deepEqual(emitted, []);
+
+  await intervals[0]();
+  const session = {
+    session: '0199a1b2-3c4d-7e8f-9a0b-1c2d3e4f5a6b',
+    logPath: filePath,
+    cwd: '/work/app',
+    model: 'gpt-5-codex',
+    timestamp: '2025-10-27T20:02:00.000Z',
+  };
+  assert.deepEqual(emitted, [
+    ['threshold', { ...session, field: 'daily', threshold: 80, value: 81 }],
+    ['activity', { ...session, activity: 'review', verdict: 'incorrect', findings: 2 }],
+    ['review', { ...session, activity: 'review', verdict: 'incorrect', findings: 2 }],
+  ]);
+});
+
 test('runWatch cycles reverb with keyboard', async () => {
   const fakeStdout = {
     columns: 120,